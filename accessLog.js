@@ -0,0 +1,93 @@
+// accessLog.js
+// JSON lines access log, one entry per request. Workers format and sample the entries
+// (AccessLogger) and ship them to the master in batches; the master owns the file
+// (AccessLogWriter), so there is a single writer and rotation doesn't race between workers.
+const fs = require('fs');
+const path = require('path');
+
+const FLUSH_BATCH_SIZE = 100; // Lines per IPC message at most
+
+// --- Master side ---
+// Appends to `filePath` and rotates by size: access.log -> access.log.1 -> ... -> access.log.<maxFiles>
+class AccessLogWriter {
+    constructor({ path: filePath, maxSize, maxFiles }) {
+        this.filePath = filePath;
+        this.maxSize = maxSize;
+        this.maxFiles = maxFiles;
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        this._open();
+    }
+
+    _open() {
+        this.size = fs.existsSync(this.filePath) ? fs.statSync(this.filePath).size : 0;
+        this.stream = fs.createWriteStream(this.filePath, { flags: 'a' });
+        this.stream.on('error', err => console.error(`Master: Access log write failed: ${err.message}`));
+    }
+
+    // `text` is one or more complete lines
+    write(text) {
+        const bytes = Buffer.byteLength(text);
+        if (this.maxSize > 0 && this.size > 0 && this.size + bytes > this.maxSize) this._rotate();
+        this.stream.write(text);
+        this.size += bytes;
+    }
+
+    // Renaming keeps the open file descriptor valid, so writes still queued on the old
+    // stream land in the rotated file
+    _rotate() {
+        try {
+            for (let i = this.maxFiles - 1; i >= 1; i--) {
+                const from = `${this.filePath}.${i}`;
+                if (fs.existsSync(from)) fs.renameSync(from, `${this.filePath}.${i + 1}`);
+            }
+            if (this.maxFiles > 0) fs.renameSync(this.filePath, `${this.filePath}.1`);
+            else fs.unlinkSync(this.filePath);
+        } catch (err) {
+            console.error(`Master: Access log rotation failed: ${err.message}`);
+        }
+        this.stream.end();
+        this._open();
+    }
+
+    // `callback` runs once everything written so far is on disk
+    close(callback) {
+        this.stream.end(callback);
+    }
+}
+
+// --- Worker side ---
+// `send(msg, callback)` delivers { type: 'accessLog', text } to the master
+class AccessLogger {
+    constructor(send, { sampleRate, flushInterval }) {
+        this.send = send;
+        this.sampleRate = sampleRate;
+        this.lines = [];
+        this.timer = setInterval(() => this.flush(), flushInterval);
+        this.timer.unref();
+    }
+
+    // Sampling only thins out ordinary responses: server errors and aborted requests are
+    // always logged. `sampleRate` overrides the global rate (e.g. for a busy route).
+    log(entry, sampleRate = this.sampleRate) {
+        const alwaysLog = entry.status === null || entry.status >= 500;
+        if (!alwaysLog && sampleRate < 1 && Math.random() >= sampleRate) return;
+        this.lines.push(JSON.stringify(entry));
+        if (this.lines.length >= FLUSH_BATCH_SIZE) this.flush();
+    }
+
+    // `callback` runs once the lines have been handed to the IPC channel (or right away)
+    flush(callback) {
+        if (this.lines.length === 0) {
+            if (callback) callback();
+            return;
+        }
+        const text = `${this.lines.join('\n')}\n`;
+        this.lines = [];
+        this.send({ type: 'accessLog', text }, callback); // Dropped if the master is gone; nothing left to write the log
+    }
+}
+
+module.exports = {
+    AccessLogWriter,
+    AccessLogger,
+};
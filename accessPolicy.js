@@ -0,0 +1,385 @@
+// accessPolicy.js
+// Access control at the edge, per route: client address allow/deny lists, HTTP Basic auth
+// against a file of hashed passwords and JWT bearer tokens checked against a local JWKS file.
+//
+//   access:
+//     allow: [10.0.0.0/8, loopback]    # only these client addresses (default: any)
+//     deny: [10.0.66.0/24]             # never these, even if allowed
+//     realm: Admin                     # of the WWW-Authenticate challenges
+//     basicAuth:
+//       credentialsFile: /etc/lb/admin.passwd # '<user>:<hash>' lines, hashes from hashPassword()
+//       forwardUser: X-Remote-User     # the user name, for the backend
+//     jwt:
+//       jwksFile: /etc/lb/jwks.json
+//       audience: admin-app            # the token's aud must name one of these (string or list)
+//       issuer: https://auth.example.com # string or list
+//       requiredClaims: { role: admin, sub: '*' } # exact value (or one of a list's), '*' = present
+//       clockSkew: 30                  # seconds of leeway on exp and nbf
+//       forwardClaims: { sub: X-User-Id, email: X-User-Email }
+//
+// The client address is checked first (403). With basicAuth and/or jwt a request then needs
+// credentials that one of them accepts (401); a genuine token without the required claims
+// gets 403. Tokens must be signed (no 'none'), by a key of the JWKS whose type and algorithm
+// match the token's, and must carry exp. The credentials and JWKS files are read when the
+// policy is compiled and again by reload().
+//
+// Password checks are bounded per worker (503 beyond MAX_PASSWORD_CHECKS). Routes with
+// basicAuth still want a rateLimit: that is what keeps one client from taking all of them.
+const crypto = require('crypto');
+const fs = require('fs');
+const { addressList, inAddressList, normalizeAddress } = require('./forwardedHeaders');
+const { checkHeaderName } = require('./headerRules');
+
+const POLICY_KEYS = ['allow', 'deny', 'realm', 'basicAuth', 'jwt'];
+const BASIC_AUTH_KEYS = ['credentialsFile', 'forwardUser'];
+const JWT_KEYS = ['jwksFile', 'audience', 'issuer', 'requiredClaims', 'clockSkew', 'forwardClaims'];
+const DEFAULT_REALM = 'Restricted';
+const DEFAULT_CLOCK_SKEW = 30;
+
+// '$scrypt$ln=<log2 N>,r=<r>,p=<p>$<salt>$<hash>', salt and hash in base64
+const SCRYPT_HASH_PATTERN = /^\$scrypt\$ln=(\d+),r=(\d+),p=(\d+)\$([A-Za-z0-9+/]+={0,2})\$([A-Za-z0-9+/]+={0,2})$/;
+const SCRYPT_DEFAULTS = { ln: 15, r: 8, p: 1 };
+const MAX_SCRYPT_LN = 20;
+// scrypt is meant to be slow, so credentials that passed are remembered (by a hash of them)
+const VERIFIED_CACHE_SIZE = 1000;
+// scrypt runs on libuv's thread pool (4 threads by default), which DNS lookups and file reads
+// share; beyond this many checks in flight per worker, Basic auth requests are turned away
+const MAX_PASSWORD_CHECKS = 8;
+let passwordChecks = 0;
+
+const JWT_PATTERN = /^[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+$/;
+const PSS = { padding: crypto.constants.RSA_PKCS1_PSS_PADDING, saltLength: crypto.constants.RSA_PSS_SALTLEN_DIGEST };
+const P1363 = { dsaEncoding: 'ieee-p1363' }; // JWS ECDSA signatures are r || s, not DER
+const JWT_ALGORITHMS = {
+    RS256: { hash: 'sha256' }, RS384: { hash: 'sha384' }, RS512: { hash: 'sha512' },
+    PS256: { hash: 'sha256', ...PSS }, PS384: { hash: 'sha384', ...PSS }, PS512: { hash: 'sha512', ...PSS },
+    ES256: { hash: 'sha256', ...P1363 }, ES384: { hash: 'sha384', ...P1363 }, ES512: { hash: 'sha512', ...P1363 },
+    EdDSA: { hash: null },
+    HS256: { hmac: 'sha256' }, HS384: { hmac: 'sha384' }, HS512: { hmac: 'sha512' },
+};
+const EC_ALGORITHMS = { 'P-256': 'ES256', 'P-384': 'ES384', 'P-521': 'ES512' };
+const MIN_SECRET_BYTES = 32; // Of HMAC (oct) keys
+const MAX_TIME_CLAIM = 8.64e12; // Seconds since the epoch; the latest time a Date can hold
+
+// Why a request was refused (the metric label) -> status
+const DENIAL_STATUSES = {
+    ip: 403,
+    missing_credentials: 401,
+    bad_credentials: 401,
+    invalid_token: 401,
+    expired_token: 401,
+    insufficient_claims: 403,
+    busy: 503, // Too many password checks in flight
+};
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isTimeClaim = value => Number.isFinite(value) && value >= 0 && value <= MAX_TIME_CLAIM;
+const toList = value => (Array.isArray(value) ? value : [value]);
+
+function checkKeys(spec, allowed, what) {
+    if (!isPlainObject(spec)) throw new Error(`${what} must be an object`);
+    const unknownKeys = Object.keys(spec).filter(key => !allowed.includes(key));
+    if (unknownKeys.length) throw new Error(`${what}: unsupported keys ${unknownKeys.join(', ')} (allowed: ${allowed.join(', ')})`);
+}
+
+function stringList(value, what) {
+    const list = toList(value);
+    if (!list.length || list.some(item => typeof item !== 'string' || !item)) throw new Error(`${what} must be a string or a list of strings`);
+    return list;
+}
+
+function readFile(file, what) {
+    try {
+        return fs.readFileSync(file, 'utf8');
+    } catch (err) {
+        throw new Error(`${what}: can't read ${file} (${err.code || err.message})`);
+    }
+}
+
+const scrypt = (password, salt, { N, r, p, length }) => new Promise((resolve, reject) => {
+    crypto.scrypt(password, salt, length, { N, r, p, maxmem: 256 * N * r }, (err, key) => (err ? reject(err) : resolve(key)));
+});
+
+// Hash for a credentials file line: `node -e "require('./accessPolicy').hashPassword('secret').then(console.log)"`
+async function hashPassword(password, { ln = SCRYPT_DEFAULTS.ln, r = SCRYPT_DEFAULTS.r, p = SCRYPT_DEFAULTS.p } = {}) {
+    const salt = crypto.randomBytes(16);
+    const key = await scrypt(password, salt, { N: 2 ** ln, r, p, length: 32 });
+    return `$scrypt$ln=${ln},r=${r},p=${p}$${salt.toString('base64')}$${key.toString('base64')}`;
+}
+
+function parsePasswordHash(hash) {
+    const match = SCRYPT_HASH_PATTERN.exec(hash);
+    if (!match) return null;
+    const [ln, r, p] = match.slice(1, 4).map(Number);
+    const key = Buffer.from(match[5], 'base64');
+    if (ln < 1 || ln > MAX_SCRYPT_LN || r < 1 || p < 1 || key.length < 16) return null;
+    return { N: 2 ** ln, r, p, salt: Buffer.from(match[4], 'base64'), key };
+}
+
+// Unknown users are checked against this, so they take as long as known ones
+const UNKNOWN_USER_HASH = { N: 2 ** SCRYPT_DEFAULTS.ln, r: SCRYPT_DEFAULTS.r, p: SCRYPT_DEFAULTS.p, salt: crypto.randomBytes(16), key: crypto.randomBytes(32) };
+
+// '<user>:<hash>' per line; blank lines and '#' comments are skipped -> Map of user -> hash
+function parseCredentials(text, what) {
+    const credentials = new Map();
+    text.split(/\r?\n/).forEach((line, i) => {
+        line = line.trim();
+        if (!line || line.startsWith('#')) return;
+        const separator = line.indexOf(':');
+        const hash = separator > 0 ? parsePasswordHash(line.slice(separator + 1)) : null;
+        if (!hash) throw new Error(`${what}, line ${i + 1}: expected <user>:$scrypt$ln=<n>,r=<r>,p=<p>$<salt>$<hash>`);
+        credentials.set(line.slice(0, separator), hash);
+    });
+    if (!credentials.size) throw new Error(`${what}: no users`);
+    return credentials;
+}
+
+// Algorithms a JWK may verify: its own `alg` if it names one, otherwise those of its type
+function keyAlgorithms(jwk) {
+    if (jwk.kty === 'RSA') return ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512'];
+    if (jwk.kty === 'EC') return EC_ALGORITHMS[jwk.crv] ? [EC_ALGORITHMS[jwk.crv]] : [];
+    if (jwk.kty === 'OKP') return ['Ed25519', 'Ed448'].includes(jwk.crv) ? ['EdDSA'] : [];
+    if (jwk.kty === 'oct') return ['HS256', 'HS384', 'HS512'];
+    return [];
+}
+
+// JWKS ({ keys: [jwk] }) -> [{ kid, algorithms, key }]. Encryption keys and key types that
+// can't sign are left out.
+function parseJwks(text, what) {
+    let jwks;
+    try {
+        jwks = JSON.parse(text);
+    } catch (err) {
+        throw new Error(`${what}: not valid JSON (${err.message})`);
+    }
+    if (!isPlainObject(jwks) || !Array.isArray(jwks.keys)) throw new Error(`${what}: expected a JWKS ({ "keys": [...] })`);
+    const keys = jwks.keys.filter(jwk => isPlainObject(jwk) && (jwk.use === undefined || jwk.use === 'sig')).map((jwk, i) => {
+        let algorithms = keyAlgorithms(jwk);
+        if (jwk.alg !== undefined) algorithms = algorithms.includes(jwk.alg) ? [jwk.alg] : [];
+        if (!algorithms.length) return null;
+        const secret = jwk.kty === 'oct' ? Buffer.from(String(jwk.k ?? ''), 'base64url') : null;
+        if (secret && secret.length < MIN_SECRET_BYTES) throw new Error(`${what}: key ${jwk.kid ?? i} is shorter than ${MIN_SECRET_BYTES} bytes`);
+        try {
+            const key = secret ? crypto.createSecretKey(secret) : crypto.createPublicKey({ key: jwk, format: 'jwk' });
+            return { kid: jwk.kid, algorithms, key };
+        } catch (err) {
+            throw new Error(`${what}: key ${jwk.kid ?? i} is invalid (${err.message})`);
+        }
+    }).filter(Boolean);
+    if (!keys.length) throw new Error(`${what}: no signing keys`);
+    return keys;
+}
+
+function verifySignature(algorithm, key, data, signature) {
+    const { hash, hmac, ...options } = JWT_ALGORITHMS[algorithm];
+    if (hmac) {
+        const expected = crypto.createHmac(hmac, key).update(data).digest();
+        return expected.length === signature.length && crypto.timingSafeEqual(expected, signature);
+    }
+    try {
+        return crypto.verify(hash, data, { key, ...options }, signature);
+    } catch (err) {
+        return false; // Malformed signature
+    }
+}
+
+const decodeSegment = segment => JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+
+// Claims can hold anything; headers only printable ASCII
+function headerValue(value) {
+    let text;
+    if (Array.isArray(value)) text = value.map(item => (typeof item === 'object' ? JSON.stringify(item) : String(item))).join(', ');
+    else text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return text.replace(/[^\x20-\x7e]/g, char => encodeURIComponent(char));
+}
+
+// An OAuth scope claim is a space-separated list
+const claimValues = (name, value) => (name === 'scope' && typeof value === 'string' ? value.split(' ') : toList(value));
+
+const allowed = (user, headers) => ({ allowed: true, user, headers });
+
+function denied(reason, detail, message) {
+    return { allowed: false, status: DENIAL_STATUSES[reason], reason, detail, message };
+}
+
+class AccessPolicy {
+    // Throws on anything malformed (including unreadable files), naming it after `what`
+    constructor(spec, what = 'access') {
+        checkKeys(spec, POLICY_KEYS, what);
+        if (!['allow', 'deny', 'basicAuth', 'jwt'].some(key => spec[key] !== undefined)) throw new Error(`${what} needs allow, deny, basicAuth or jwt`);
+        this.what = what;
+        this.allow = spec.allow === undefined ? null : addressList(stringList(spec.allow, `${what}.allow`), `${what}.allow entry`);
+        this.deny = spec.deny === undefined ? null : addressList(stringList(spec.deny, `${what}.deny`), `${what}.deny entry`);
+        this.realm = spec.realm ?? DEFAULT_REALM;
+        if (typeof this.realm !== 'string' || !/^[\x20-\x7e]*$/.test(this.realm) || /["\\]/.test(this.realm)) {
+            throw new Error(`${what}.realm must be a string of printable characters without quotes or backslashes`);
+        }
+        this.headerNames = []; // Headers the policy sets for the backend, lower case
+
+        this.basicAuth = null;
+        if (spec.basicAuth !== undefined) {
+            const basicAuth = spec.basicAuth;
+            checkKeys(basicAuth, BASIC_AUTH_KEYS, `${what}.basicAuth`);
+            if (typeof basicAuth.credentialsFile !== 'string' || !basicAuth.credentialsFile) throw new Error(`${what}.basicAuth.credentialsFile must be a file path`);
+            if (basicAuth.forwardUser !== undefined) this._forwardHeader(basicAuth.forwardUser, `${what}.basicAuth.forwardUser`);
+            this.basicAuth = { credentialsFile: basicAuth.credentialsFile, forwardUser: basicAuth.forwardUser?.toLowerCase(), credentials: null };
+        }
+
+        this.jwt = null;
+        if (spec.jwt !== undefined) {
+            const jwt = spec.jwt;
+            checkKeys(jwt, JWT_KEYS, `${what}.jwt`);
+            if (typeof jwt.jwksFile !== 'string' || !jwt.jwksFile) throw new Error(`${what}.jwt.jwksFile must be a file path`);
+            const clockSkew = jwt.clockSkew ?? DEFAULT_CLOCK_SKEW;
+            if (typeof clockSkew !== 'number' || !(clockSkew >= 0)) throw new Error(`${what}.jwt.clockSkew must be a number of seconds >= 0`);
+            const requiredClaims = jwt.requiredClaims ?? {};
+            if (!isPlainObject(requiredClaims)) throw new Error(`${what}.jwt.requiredClaims must be an object of claim: value`);
+            Object.entries(requiredClaims).forEach(([name, expected]) => {
+                if (!['string', 'number', 'boolean'].includes(typeof expected)) throw new Error(`${what}.jwt.requiredClaims.${name} must be a string, number or boolean`);
+            });
+            const forwardClaims = jwt.forwardClaims ?? {};
+            if (!isPlainObject(forwardClaims)) throw new Error(`${what}.jwt.forwardClaims must be an object of claim: header name`);
+            Object.entries(forwardClaims).forEach(([claim, header]) => this._forwardHeader(header, `${what}.jwt.forwardClaims.${claim}`));
+            this.jwt = {
+                jwksFile: jwt.jwksFile,
+                audience: jwt.audience === undefined ? null : stringList(jwt.audience, `${what}.jwt.audience`),
+                issuer: jwt.issuer === undefined ? null : stringList(jwt.issuer, `${what}.jwt.issuer`),
+                requiredClaims: Object.entries(requiredClaims),
+                clockSkew,
+                forwardClaims: Object.entries(forwardClaims).map(([claim, header]) => [claim, header.toLowerCase()]),
+                keys: null,
+            };
+        }
+
+        this.reload();
+    }
+
+    // Re-reads the credentials and JWKS files. Throws (keeping the current ones) if one is bad.
+    reload() {
+        const credentials = this.basicAuth && parseCredentials(readFile(this.basicAuth.credentialsFile, `${this.what}.basicAuth.credentialsFile`), this.basicAuth.credentialsFile);
+        const keys = this.jwt && parseJwks(readFile(this.jwt.jwksFile, `${this.what}.jwt.jwksFile`), this.jwt.jwksFile);
+        if (this.basicAuth) this.basicAuth.credentials = credentials;
+        if (this.jwt) this.jwt.keys = keys;
+        this.verified = new Map(); // Hash of user and password -> user; a removed user is out right away
+    }
+
+    // Whether a request from `clientAddress` with this Authorization header gets through:
+    //   { allowed: true, user (name or token subject, null without credentials), headers (for the backend) }
+    //   { allowed: false, status, reason (a DENIAL_STATUSES key), detail (for the log), message, challenges (401 only),
+//     retryAfterSeconds (503 only) }
+    async check(authorization, clientAddress) {
+        const address = normalizeAddress(clientAddress);
+        if (this.deny && inAddressList(this.deny, address)) return denied('ip', `${address} is denied`, 'Access denied.');
+        if (this.allow && !inAddressList(this.allow, address)) return denied('ip', `${address ?? clientAddress} is not allowed`, 'Access denied.');
+        if (!this.basicAuth && !this.jwt) return allowed(null, {});
+
+        const [scheme, credentials] = String(authorization || '').trim().split(/\s+/, 2);
+        let result;
+        if (this.basicAuth && /^basic$/i.test(scheme) && credentials) result = await this._checkBasic(credentials);
+        else if (this.jwt && /^bearer$/i.test(scheme) && credentials) result = this._checkToken(credentials);
+        else result = denied('missing_credentials', authorization ? `unsupported scheme '${scheme}'` : 'no credentials', 'Authentication required.');
+        if (result.status === 401) result.challenges = this._challenges(result.reason);
+        return result;
+    }
+
+    _forwardHeader(name, what) {
+        if (typeof name !== 'string') throw new Error(`${what} must be a header name`);
+        checkHeaderName(name, what);
+        this.headerNames.push(name.toLowerCase());
+    }
+
+    // WWW-Authenticate values for a 401: one per scheme the route accepts
+    _challenges(reason) {
+        const challenges = [];
+        if (this.basicAuth) challenges.push(`Basic realm="${this.realm}", charset="UTF-8"`);
+        if (this.jwt) challenges.push(`Bearer realm="${this.realm}"${reason === 'invalid_token' || reason === 'expired_token' ? ', error="invalid_token"' : ''}`);
+        return challenges;
+    }
+
+    async _checkBasic(credentials) {
+        const decoded = Buffer.from(credentials, 'base64').toString('utf8');
+        const separator = decoded.indexOf(':');
+        if (separator === -1) return denied('bad_credentials', 'malformed Basic credentials', 'Invalid credentials.');
+        const user = decoded.slice(0, separator);
+        const password = decoded.slice(separator + 1);
+
+        const cacheKey = crypto.createHash('sha256').update(`${user}\n${password}`).digest('base64');
+        if (this.verified.has(cacheKey)) return allowed(user, this._userHeaders(user));
+
+        if (passwordChecks >= MAX_PASSWORD_CHECKS) {
+            return { ...denied('busy', `${passwordChecks} password checks in progress`, 'Too many login attempts, try again shortly.'), retryAfterSeconds: 1 };
+        }
+        const { credentials: users } = this.basicAuth;
+        const hash = users.get(user) || UNKNOWN_USER_HASH;
+        passwordChecks++;
+        let key;
+        try {
+            key = await scrypt(password, hash.salt, { ...hash, length: hash.key.length });
+        } finally {
+            passwordChecks--;
+        }
+        if (!users.has(user) || !crypto.timingSafeEqual(key, hash.key)) {
+            return denied('bad_credentials', users.has(user) ? `wrong password for '${headerValue(user)}'` : `unknown user '${headerValue(user)}'`, 'Invalid credentials.');
+        }
+        if (users !== this.basicAuth.credentials) return this._checkBasic(credentials); // Reloaded meanwhile
+        if (this.verified.size >= VERIFIED_CACHE_SIZE) this.verified.delete(this.verified.keys().next().value);
+        this.verified.set(cacheKey, user);
+        return allowed(user, this._userHeaders(user));
+    }
+
+    _userHeaders(user) {
+        return this.basicAuth.forwardUser ? { [this.basicAuth.forwardUser]: headerValue(user) } : {};
+    }
+
+    _checkToken(token, now = Date.now() / 1000) {
+        const invalid = detail => denied('invalid_token', detail, 'Invalid token.');
+        if (!JWT_PATTERN.test(token)) return invalid('malformed token');
+        const [headerSegment, payloadSegment, signatureSegment] = token.split('.');
+        let header, claims;
+        try {
+            header = decodeSegment(headerSegment);
+            claims = decodeSegment(payloadSegment);
+        } catch (err) {
+            return invalid('malformed token');
+        }
+        if (!isPlainObject(header) || !isPlainObject(claims)) return invalid('malformed token');
+        if (!Object.hasOwn(JWT_ALGORITHMS, header.alg)) return invalid(`unsupported algorithm '${headerValue(String(header.alg))}'`);
+        if (header.crit !== undefined) return invalid('unsupported critical header parameters');
+
+        const candidates = this.jwt.keys.filter(key => key.algorithms.includes(header.alg) && (header.kid === undefined || key.kid === header.kid));
+        if (!candidates.length) {
+            if (header.kid === undefined) return invalid(`no ${header.alg} key`);
+            const known = this.jwt.keys.some(key => key.kid === header.kid);
+            return invalid(`${known ? `key '${headerValue(String(header.kid))}' is not for ${header.alg}` : `unknown key '${headerValue(String(header.kid))}'`}`);
+        }
+        const data = Buffer.from(`${headerSegment}.${payloadSegment}`);
+        const signature = Buffer.from(signatureSegment, 'base64url');
+        if (!candidates.some(({ key }) => verifySignature(header.alg, key, data, signature))) return invalid('bad signature');
+
+        const { clockSkew, audience, issuer, requiredClaims, forwardClaims } = this.jwt;
+        if (claims.exp === undefined) return invalid('no exp claim');
+        if (!isTimeClaim(claims.exp)) return invalid('exp is not a valid time');
+        if (claims.nbf !== undefined && !isTimeClaim(claims.nbf)) return invalid('nbf is not a valid time');
+        if (now > claims.exp + clockSkew) return denied('expired_token', `expired at ${new Date(claims.exp * 1000).toISOString()}`, 'The token has expired.');
+        if (claims.nbf !== undefined && now < claims.nbf - clockSkew) return invalid('not valid yet (nbf)');
+        if (issuer && !issuer.includes(claims.iss)) return invalid(`wrong issuer '${headerValue(String(claims.iss))}'`);
+        if (audience && !toList(claims.aud).some(aud => audience.includes(aud))) return invalid('wrong audience');
+        const missing = requiredClaims.find(([name, expected]) => {
+            if (claims[name] === undefined || claims[name] === null) return true;
+            return expected !== '*' && !claimValues(name, claims[name]).some(value => String(value) === String(expected));
+        });
+        if (missing) return denied('insufficient_claims', `claim '${missing[0]}' missing or not ${missing[1] === '*' ? 'present' : `'${missing[1]}'`}`, 'The token does not grant access.');
+
+        const headers = {};
+        forwardClaims.forEach(([claim, name]) => {
+            if (claims[claim] !== undefined && claims[claim] !== null) headers[name] = headerValue(claims[claim]);
+        });
+        return allowed(typeof claims.sub === 'string' ? headerValue(claims.sub) : null, headers);
+    }
+}
+
+module.exports = {
+    AccessPolicy,
+    hashPassword,
+    DENIAL_STATUSES,
+};
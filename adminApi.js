@@ -0,0 +1,131 @@
+// adminApi.js
+// Authenticated admin REST API, served by the master on its own port next to the metrics
+// server. The routes only parse and check requests; the master owns the backend list and
+// pushes every change to all workers (see `backends` in loadBalancer.js).
+//
+//   GET    /admin/backends              list backends and their state
+//   POST   /admin/backends              add a backend   { host, port, weight?, protocol?, healthCheck? }
+//   PATCH  /admin/backends/:id          change a backend { weight?, force?: 'up' | 'down' | null, draining?: boolean }
+//   DELETE /admin/backends/:id[?drain=true]  remove now, or once its connections have drained
+//   GET    /admin/workers               list workers
+//   POST   /admin/workers/restart       rolling restart, one worker at a time
+//
+// Every backend route takes ?pool=<name>. Without it, GET /admin/backends lists every pool and
+// the other routes act on the default pool.
+const http = require('http');
+const crypto = require('crypto');
+const { DEFAULT_POOL } = require('./configFile');
+
+const MAX_BODY_BYTES = 64 * 1024;
+
+function httpError(statusCode, message) {
+    const err = new Error(message);
+    err.statusCode = statusCode;
+    return err;
+}
+
+// Constant-time comparison of the bearer token
+function isAuthorized(req, token) {
+    const match = (req.headers.authorization || '').match(/^Bearer\s+(.+)$/i);
+    if (!match) return false;
+    const given = crypto.createHash('sha256').update(match[1]).digest();
+    const expected = crypto.createHash('sha256').update(token).digest();
+    return crypto.timingSafeEqual(given, expected);
+}
+
+function readJsonBody(req) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        req.setEncoding('utf8');
+        req.on('data', chunk => {
+            body += chunk;
+            if (body.length > MAX_BODY_BYTES) {
+                reject(httpError(413, 'Request body too large'));
+                req.destroy();
+            }
+        });
+        req.on('end', () => {
+            if (!body) return resolve({});
+            try {
+                const parsed = JSON.parse(body);
+                if (parsed === null || typeof parsed !== 'object' || Array.isArray(parsed)) {
+                    return reject(httpError(400, 'Body must be a JSON object'));
+                }
+                resolve(parsed);
+            } catch (err) {
+                reject(httpError(400, `Invalid JSON: ${err.message}`));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+function sendJson(res, statusCode, payload) {
+    res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(payload, null, 2));
+}
+
+// `backends` implements list(pool), add(spec, pool), update(id, patch, pool) and remove(id, { drain }, pool),
+// `workers` list() and restart(). Each may return a promise and throws httpError() for client mistakes.
+function startAdminApi(adminConfig, backends, workers) {
+    const adminServer = http.createServer(async (req, res) => {
+        const url = new URL(req.url, 'http://admin.local');
+        const route = url.pathname.match(/^\/admin\/backends(?:\/([^/]+))?\/?$/);
+        const workersRoute = url.pathname.match(/^\/admin\/workers(\/restart)?\/?$/);
+
+        if (!route && !workersRoute) {
+            return sendJson(res, 404, { error: 'Not Found' });
+        }
+        if (!isAuthorized(req, adminConfig.token)) {
+            res.setHeader('WWW-Authenticate', 'Bearer realm="lb-admin"');
+            return sendJson(res, 401, { error: 'Unauthorized' });
+        }
+
+        const id = route && route[1] ? decodeURIComponent(route[1]) : null;
+        const pool = url.searchParams.get('pool');
+        try {
+            if (workersRoute) {
+                const restart = Boolean(workersRoute[1]);
+                if (!restart && req.method === 'GET') return sendJson(res, 200, await workers.list());
+                if (restart && req.method === 'POST') return sendJson(res, 202, await workers.restart());
+                res.setHeader('Allow', restart ? 'POST' : 'GET');
+                return sendJson(res, 405, { error: 'Method Not Allowed' });
+            }
+            if (!id && req.method === 'GET') {
+                return sendJson(res, 200, await backends.list(pool));
+            }
+            if (!id && req.method === 'POST') {
+                return sendJson(res, 201, await backends.add(await readJsonBody(req), pool || DEFAULT_POOL));
+            }
+            if (id && req.method === 'GET') {
+                const { backends: all } = await backends.list(pool || DEFAULT_POOL);
+                const backend = all.find(b => b.id === id);
+                if (!backend) throw httpError(404, `Unknown backend ${id}`);
+                return sendJson(res, 200, backend);
+            }
+            if (id && req.method === 'PATCH') {
+                return sendJson(res, 200, await backends.update(id, await readJsonBody(req), pool || DEFAULT_POOL));
+            }
+            if (id && req.method === 'DELETE') {
+                const drain = url.searchParams.get('drain') === 'true';
+                return sendJson(res, drain ? 202 : 200, await backends.remove(id, { drain }, pool || DEFAULT_POOL));
+            }
+            res.setHeader('Allow', id ? 'GET, PATCH, DELETE' : 'GET, POST');
+            return sendJson(res, 405, { error: 'Method Not Allowed' });
+        } catch (err) {
+            if (!err.statusCode) console.error(`[${process.pid}] Admin API error:`, err);
+            return sendJson(res, err.statusCode || 500, { error: err.statusCode ? err.message : 'Internal Server Error' });
+        }
+    });
+
+    adminServer.listen(adminConfig.port, () => {
+        console.log(`[${process.pid}] Admin API listening on port ${adminConfig.port}`);
+    });
+    adminServer.on('error', (err) => console.error(`[${process.pid}] Admin API Server Error:`, err));
+    return adminServer;
+}
+
+module.exports = {
+    startAdminApi,
+    httpError,
+};
@@ -1,6 +1,21 @@
 // config.js
 require('dotenv').config();
 const path = require('path');
+const crypto = require('crypto');
+const { DEFAULT_POOL, VALID_ALGORITHMS, VALID_HASH_KEY_SOURCES, pickLiveConfig, resolvePools, loadLiveConfig } = require('./configFile');
+const { ForwardedHeaders, FORWARDED_MODES } = require('./forwardedHeaders');
+const { parseStickyKeys } = require('./stickyTokens');
+const { parseTcpListeners, PROXY_PROTOCOL_VERSIONS } = require('./tcpProxy');
+
+// "Content-Type: application/json; X-Status: ok" -> { 'Content-Type': 'application/json', 'X-Status': 'ok' }
+function parseHeaderExpectations(value) {
+    if (!value) return {};
+    return value.split(';').reduce((headers, pair) => {
+        const separator = pair.indexOf(':');
+        if (separator > 0) headers[pair.slice(0, separator).trim()] = pair.slice(separator + 1).trim();
+        return headers;
+    }, {});
+}
 
 const config = {
     // --- General ---
@@ -11,11 +26,40 @@ const config = {
         key: process.env.LB_SSL_KEY_PATH || path.join(__dirname, 'ssl/key.pem'),
         cert: process.env.LB_SSL_CERT_PATH || path.join(__dirname, 'ssl/cert.pem')
     },
+    // More certificates picked by SNI, client certificates and protocol settings (see tlsCertificates.js)
+    tls: {
+        certDir: process.env.TLS_CERT_DIR ? path.resolve(process.env.TLS_CERT_DIR) : null, // <name>.crt + <name>.key pairs
+        watchInterval: parseInt(process.env.TLS_CERT_WATCH_INTERVAL || '10000', 10), // ms between checks for changed certificates (0 = only on SIGHUP)
+        minVersion: process.env.TLS_MIN_VERSION || 'TLSv1.2',
+        ciphers: process.env.TLS_CIPHERS || null, // OpenSSL cipher list; Node's defaults if unset
+        clientAuth: process.env.TLS_CLIENT_AUTH || 'off', // Mutual TLS: 'off', 'optional' or 'required'
+        clientCaPath: process.env.TLS_CLIENT_CA_PATH ? path.resolve(process.env.TLS_CLIENT_CA_PATH) : null, // CA bundle client certificates must chain to
+    },
+    // HTTP/2 on the HTTPS listener, negotiated through ALPN; HTTP/1.1 clients are served as before
+    http2: {
+        enabled: process.env.HTTP2_ENABLED === 'true', // Opt-in
+        maxConcurrentStreams: parseInt(process.env.HTTP2_MAX_CONCURRENT_STREAMS || '100', 10), // Requests a client may have in flight on one connection
+    },
+    httpsRedirect: process.env.LB_HTTPS_REDIRECT === 'true', // HTTP listener answers 301 to https:// instead of proxying
+    httpsRedirectPort: parseInt(process.env.LB_HTTPS_REDIRECT_PORT || process.env.LB_HTTPS_PORT || '8443', 10), // Port in the redirect, if clients reach HTTPS on another one than httpsPort
     numWorkers: process.env.LB_NUM_WORKERS ? parseInt(process.env.LB_NUM_WORKERS, 10) : require('os').cpus().length, // Default to number of CPUs
+    // A stopping worker stops accepting connections, closes idle keep-alive connections and lets
+    // requests in flight finish; crashed workers are respawned with exponential backoff
+    workerLifecycle: {
+        drainTimeout: parseInt(process.env.WORKER_DRAIN_TIMEOUT || '30000', 10), // ms a stopping worker waits for requests in flight before exiting anyway
+        startTimeout: parseInt(process.env.WORKER_START_TIMEOUT || '30000', 10), // ms a rolling restart waits for a new worker to listen before giving up
+        respawnDelay: parseInt(process.env.WORKER_RESPAWN_DELAY || '1000', 10), // ms before respawning a crashed worker, doubled for every crash in a row
+        respawnMaxDelay: parseInt(process.env.WORKER_RESPAWN_MAX_DELAY || '60000', 10),
+        stableAfter: parseInt(process.env.WORKER_STABLE_AFTER || '30000', 10), // A worker that ran this long before crashing starts the backoff over
+        rollingRestartSignal: 'SIGUSR2', // Restarts the workers one at a time (also POST /admin/workers/restart)
+    },
 
     // --- Backend Servers ---
     servers: [
         // Weights are now included
+        // Optional `maxConnections` caps a backend's in-flight requests across all workers.
+        // Optional per-backend health check overrides, e.g. an admin port:
+        // { host: 'localhost', port: 3001, weight: 5, healthCheck: { port: 9001, path: '/admin/health', hostHeader: 'api.internal' } },
         { host: 'localhost', port: 3001, weight: 5 },
         { host: 'localhost', port: 3002, weight: 3 },
         { host: 'localhost', port: 3003, weight: 1 },
@@ -24,10 +68,22 @@ const config = {
     ],
 
     // --- Load Balancing ---
-    loadBalancingAlgorithm: process.env.LB_ALGORITHM || 'WEIGHTED_ROUND_ROBIN', // Options: 'ROUND_ROBIN', 'RANDOM', 'WEIGHTED_ROUND_ROBIN', 'WEIGHTED_RANDOM'
+    loadBalancingAlgorithm: process.env.LB_ALGORITHM || 'WEIGHTED_ROUND_ROBIN', // Options: 'ROUND_ROBIN', 'RANDOM', 'WEIGHTED_ROUND_ROBIN', 'WEIGHTED_RANDOM', 'LEAST_CONNECTIONS', 'WEIGHTED_LEAST_CONNECTIONS', 'CONSISTENT_HASH'
+    consistentHash: {
+        // Where the hash key comes from: 'ip' (client address), 'header', 'cookie' or 'path' (URL path without query)
+        keySource: process.env.LB_HASH_KEY_SOURCE || 'ip',
+        keyName: process.env.LB_HASH_KEY_NAME || null, // Header or cookie name, required for 'header' / 'cookie'
+        virtualNodesPerWeight: parseInt(process.env.LB_HASH_VNODES || '40', 10), // Ring points per unit of weight
+    },
+    // Pins each client to a backend with a signed token (see stickyTokens.js)
     stickySession: {
         enabled: process.env.LB_STICKY_SESSIONS === 'true',
+        mode: process.env.LB_STICKY_MODE || 'cookie', // Where the token goes: 'cookie' (ours), 'header' (sent back by the client) or 'appCookie' (prefixed to the application's session cookie)
         cookieName: process.env.LB_STICKY_COOKIE_NAME || 'lb_sticky_session',
+        headerName: process.env.LB_STICKY_HEADER_NAME || 'X-Sticky-Session', // For mode 'header'
+        appCookieName: process.env.LB_STICKY_APP_COOKIE || 'JSESSIONID', // For mode 'appCookie'
+        failover: process.env.LB_STICKY_FAILOVER || 'repin', // Pinned backend unavailable: 'repin', 'fail' (503) or 'keep' (the pin stays, this request goes elsewhere)
+        ttl: parseInt(process.env.LB_STICKY_TTL || '3600000', 10), // ms a token is valid; renewed once half of it has passed
         cookieOptions: {
             httpOnly: true,
             path: '/',
@@ -36,46 +92,353 @@ const config = {
         }
     },
 
+    // Keys for the sticky tokens: '<id>:<secret>,...', the first signs new tokens and the
+    // others are still accepted (for rotation). Not live: change them with a rolling restart.
+    stickyTokens: {
+        keys: process.env.STICKY_KEYS || null,
+        encrypt: process.env.STICKY_ENCRYPT === 'true', // Encrypt the backend id instead of hashing it
+    },
+
+    // --- Pools and Routing ---
+    // The settings above form the 'default' pool. Named pools (own servers, algorithm, sticky
+    // session, consistent hash and health check settings) and the ordered rules that route
+    // requests to them are set in the config file, see lb.config.example.yaml.
+    pools: {},
+    routes: [],
+    defaultPool: 'default', // Pool for requests that match no rule
+
+    // --- Rate Limiting ---
+    // Token bucket per client, enforced across all workers by the master. Routes can set their
+    // own `rateLimit` in the config file, or `rateLimit: false` to be exempt.
+    rateLimit: {
+        enabled: process.env.RL_ENABLED === 'true',
+        keySource: process.env.RL_KEY_SOURCE || 'ip', // 'ip', 'header' (e.g. an API key, see keyName) or 'route' (one bucket shared by everyone)
+        keyName: process.env.RL_KEY_NAME || null, // Header name for keySource 'header'
+        rate: parseFloat(process.env.RL_RATE || '10'), // Requests per second refilled into the bucket (0 = no rate limit)
+        burst: parseInt(process.env.RL_BURST || '20', 10), // Bucket size: requests allowed at once after being idle
+        maxConcurrentPerClient: parseInt(process.env.RL_MAX_CONCURRENT || '0', 10), // In-flight requests per client (0 = unlimited)
+        checkTimeout: parseInt(process.env.RL_CHECK_TIMEOUT || '250', 10), // ms to wait for the master before letting a request through
+    },
+
     // --- Health Checks ---
     healthCheck: {
         enabled: process.env.HC_ENABLED !== 'false', // default true
+        type: process.env.HC_TYPE || 'http', // 'http' (request + expectations) or 'tcp' (connect only)
         interval: parseInt(process.env.HC_INTERVAL || '10000', 10),
         timeout: parseInt(process.env.HC_TIMEOUT || '5000', 10),
+        rise: parseInt(process.env.HC_RISE || '2', 10), // Consecutive passing checks before a server is marked healthy
+        fall: parseInt(process.env.HC_FALL || '3', 10), // Consecutive failing checks before it is marked unhealthy
         path: process.env.HC_PATH || '/health',
         method: process.env.HC_METHOD || 'GET',
-        // More specific checks
+        port: process.env.HC_PORT ? parseInt(process.env.HC_PORT, 10) : null, // Defaults to each server's traffic port
+        hostHeader: process.env.HC_HOST_HEADER || null,
+        // More specific checks (all optional except statusCode)
         expect: {
-            statusCode: parseInt(process.env.HC_EXPECT_STATUS || '200', 10),
-            // Optional: Check response body includes a specific string
-            // bodyIncludes: process.env.HC_EXPECT_BODY || null
+            statusCode: process.env.HC_EXPECT_STATUS || '200', // e.g. 200, '200-299,304', '2xx' or [200, 204]
+            bodyIncludes: process.env.HC_EXPECT_BODY || null, // Body must contain this string
+            bodyRegex: process.env.HC_EXPECT_BODY_REGEX || null, // Body must match this regex
+            headers: parseHeaderExpectations(process.env.HC_EXPECT_HEADERS), // { name: substring or RegExp }
+            json: process.env.HC_EXPECT_JSON || null, // e.g. 'status == "UP"' or { path: 'status', equals: 'UP' }
         }
     },
 
+    // --- Slow Start ---
+    // A backend that recovers or is added ramps up from a fraction of its weight to all of it
+    // over `window` ms, so cold caches/JITs don't get its full share of traffic at once.
+    slowStart: {
+        window: parseInt(process.env.SLOW_START_WINDOW || '0', 10), // ms, 0 = off
+        initialWeightPercent: parseInt(process.env.SLOW_START_INITIAL_PERCENT || '10', 10), // Share of the weight at the start of the window
+    },
+
+    // --- Passive Health Checks (Outlier Detection) ---
+    // Ejects backends based on real traffic; ejected backends come back half-open and must
+    // pass `halfOpenProbes` requests before taking full traffic again.
+    outlierDetection: {
+        enabled: process.env.OD_ENABLED === 'true', // Opt-in; otherwise a proxy error marks the backend unhealthy right away
+        windowMs: parseInt(process.env.OD_WINDOW || '30000', 10), // Sliding window for rates/counts
+        minRequests: parseInt(process.env.OD_MIN_REQUESTS || '20', 10), // Requests in window before the failure rate counts
+        failureRateThreshold: parseFloat(process.env.OD_FAILURE_RATE || '0.5'), // Share of 5xx/errors (0-1)
+        consecutiveFailures: parseInt(process.env.OD_CONSECUTIVE_FAILURES || '5', 10),
+        timeoutThreshold: parseInt(process.env.OD_TIMEOUTS || '5', 10), // Timeouts within the window
+        baseEjectionMs: parseInt(process.env.OD_BASE_EJECTION || '30000', 10), // Doubles with every repeat ejection...
+        maxEjectionMs: parseInt(process.env.OD_MAX_EJECTION || '300000', 10), // ...up to this
+        halfOpenProbes: parseInt(process.env.OD_HALF_OPEN_PROBES || '3', 10),
+        maxEjectionPercent: parseInt(process.env.OD_MAX_EJECTION_PERCENT || '50', 10), // Never eject more of the pool than this
+    },
+
     // --- Operational ---
     metrics: {
         enabled: process.env.METRICS_ENABLED === 'true',
         port: parseInt(process.env.METRICS_PORT || '9091', 10), // Separate port for metrics
-        endpoint: process.env.METRICS_ENDPOINT || '/metrics',
+        endpoint: process.env.METRICS_ENDPOINT || '/metrics', // JSON
+        prometheusEndpoint: process.env.METRICS_PROMETHEUS_ENDPOINT || '/metrics/prometheus', // Prometheus text format
+        // Upstream latency histogram buckets, in seconds
+        latencyBuckets: (process.env.METRICS_LATENCY_BUCKETS || '0.005,0.01,0.025,0.05,0.1,0.25,0.5,1,2.5,5,10')
+            .split(',').map(Number).filter(Number.isFinite),
+    },
+    // JSON lines access log, written by the master for all workers
+    accessLog: {
+        enabled: process.env.ACCESS_LOG_ENABLED === 'true',
+        path: path.resolve(process.env.ACCESS_LOG_PATH || './logs/access.log'),
+        maxSize: parseInt(process.env.ACCESS_LOG_MAX_SIZE || '10485760', 10), // Rotate when the file would grow beyond this (bytes, 0 = never)
+        maxFiles: parseInt(process.env.ACCESS_LOG_MAX_FILES || '5', 10), // Rotated files kept (access.log.1 ... access.log.5)
+        sampleRate: parseFloat(process.env.ACCESS_LOG_SAMPLE_RATE || '1'), // Share of requests logged; 5xx and aborted requests always are
+        flushInterval: 1000, // ms between batches from each worker
+    },
+    // Passed through from the client or generated, forwarded to the backend and echoed back
+    requestIdHeader: (process.env.REQUEST_ID_HEADER || 'X-Request-Id').toLowerCase(),
+    // Admin REST API (runs in the master, requires a bearer token)
+    admin: {
+        enabled: process.env.ADMIN_ENABLED === 'true',
+        port: parseInt(process.env.ADMIN_PORT || '9092', 10),
+        token: process.env.ADMIN_TOKEN || null, // Sent as 'Authorization: Bearer <token>'
+        drainPollInterval: parseInt(process.env.ADMIN_DRAIN_POLL_INTERVAL || '1000', 10), // ms between drain checks
+    },
+    dynamicConfigReloadSignal: 'SIGHUP', // Signal to trigger a config file reload
+    // JSON or YAML file with servers, algorithm, sticky session, consistent hash, health check
+    // and outlier detection settings. Overrides the values above and can be reloaded live.
+    configFile: process.env.LB_CONFIG_FILE ? path.resolve(process.env.LB_CONFIG_FILE) : null,
+    configWatch: process.env.LB_CONFIG_WATCH !== 'false', // Also reload when the file changes on disk
+    configWatchInterval: parseInt(process.env.LB_CONFIG_WATCH_INTERVAL || '2000', 10), // ms between file polls
+
+    // --- WebSockets ---
+    webSocket: {
+        enabled: process.env.WS_ENABLED !== 'false', // Proxy WebSocket upgrades on the HTTP and HTTPS listeners
+        idleTimeout: parseInt(process.env.WS_IDLE_TIMEOUT || '300000', 10), // Close tunnels with no traffic for this long (ms, 0 = never)
+        shutdownMode: process.env.WS_SHUTDOWN_MODE || 'close', // On worker shutdown: 'close' (1001 Going Away) or 'drain' (wait for clients)
+    },
+
+    // --- TCP (Layer 4) ---
+    // Ports whose connections are piped as raw TCP to a pool's backends (see tcpProxy.js), e.g.
+    // '5432=postgres,6379=redis' ('5432' alone uses the default pool). Not live: the ports are
+    // fixed at startup, and a reload can't remove a pool a listener uses.
+    tcpListeners: process.env.TCP_LISTENERS || '',
+    // Defaults for every pool; pools can set their own `tcp` in the config file
+    tcp: {
+        proxyProtocol: process.env.TCP_PROXY_PROTOCOL || 'off', // PROXY protocol header to the backends: 'off', 'v1' (text) or 'v2' (binary)
+        connectTimeout: parseInt(process.env.TCP_CONNECT_TIMEOUT || '5000', 10), // ms to connect to a backend before trying another
+        idleTimeout: parseInt(process.env.TCP_IDLE_TIMEOUT || '300000', 10), // Close connections with no traffic for this long (ms, 0 = never)
+    },
+
+    // --- Headers ---
+    // X-Forwarded-* / Forwarded towards the backends (see forwardedHeaders.js)
+    forwarded: {
+        trustedProxies: (process.env.TRUSTED_PROXIES || '').split(',').map(entry => entry.trim()).filter(Boolean), // Addresses, CIDR ranges, 'loopback' or 'private' whose forwarding headers are kept
+        headers: process.env.FORWARDED_HEADERS || 'x-forwarded', // 'x-forwarded', 'forwarded' (RFC 7239), 'both' or 'none'
+    },
+    hostHeader: process.env.HOST_HEADER || 'preserve', // Host sent to the backends: 'preserve', 'backend' (its host:port) or a fixed host
+    // Rules adding, setting or removing request/response headers; routes can have their own (see headerRules.js)
+    headers: {
+        request: {},
+        response: {
+            remove: process.env.HEADERS_STRIP_BACKEND === 'true' ? ['Server', 'X-Powered-By'] : [], // Don't reveal the backends' software
+        },
+    },
+    // Strict-Transport-Security on every HTTPS response
+    hsts: {
+        maxAge: parseInt(process.env.HSTS_MAX_AGE || '0', 10), // Seconds, 0 = not sent
+        includeSubDomains: process.env.HSTS_INCLUDE_SUBDOMAINS === 'true',
+        preload: process.env.HSTS_PRELOAD === 'true',
     },
-    dynamicConfigReloadSignal: 'SIGHUP', // Signal to trigger config reload (if implemented)
 
     // --- Proxy Options ---
     proxyTimeout: parseInt(process.env.PROXY_TIMEOUT || '30000', 10), // Timeout for backend connection
     proxyConnectTimeout: parseInt(process.env.PROXY_CONNECT_TIMEOUT || '5000', 10), // Timeout specifically for establishing connection
+    // What a client may send, and how slowly, before it is cut off (slowloris, oversized requests)
+    clientLimits: {
+        maxHeaderSize: parseInt(process.env.CLIENT_MAX_HEADER_SIZE || '16384', 10), // Bytes of request line and headers (431)
+        headersTimeout: parseInt(process.env.CLIENT_HEADERS_TIMEOUT || '10000', 10), // ms to send the request headers (408)
+        maxBodySize: parseInt(process.env.CLIENT_MAX_BODY_SIZE || '104857600', 10), // Bytes of request body (413; 0 = unlimited)
+        bodyTimeout: parseInt(process.env.CLIENT_BODY_TIMEOUT || '60000', 10), // ms from the start of a request until its body is in (408; 0 = none)
+        keepAliveTimeout: parseInt(process.env.CLIENT_KEEPALIVE_TIMEOUT || '5000', 10), // ms an idle keep-alive connection (or HTTP/2 session) stays open
+    },
+    // In-memory cache of GET responses, per worker (see responseCache.js). Only responses whose
+    // Cache-Control/Expires allow it are stored; the stale windows apply when they don't say.
+    cache: {
+        enabled: process.env.CACHE_ENABLED === 'true',
+        maxSize: parseInt(process.env.CACHE_MAX_SIZE || '67108864', 10), // Bytes per worker; least recently used URLs are evicted
+        maxEntrySize: parseInt(process.env.CACHE_MAX_ENTRY_SIZE || '1048576', 10), // Larger responses are passed through, not stored
+        defaultTtl: parseInt(process.env.CACHE_DEFAULT_TTL || '0', 10), // ms, for responses without max-age/Expires (0 = don't store them)
+        staleWhileRevalidate: parseInt(process.env.CACHE_STALE_WHILE_REVALIDATE || '0', 10), // ms an expired entry is served while it's refreshed in the background
+        staleIfError: parseInt(process.env.CACHE_STALE_IF_ERROR || '0', 10), // ms an expired entry is served when the backends fail or are all down
+        collapseTimeout: parseInt(process.env.CACHE_COLLAPSE_TIMEOUT || '5000', 10), // ms a request waits for a concurrent miss on the same URL before going itself
+        statusHeader: process.env.CACHE_STATUS_HEADER || 'X-Cache-Status', // HIT, MISS, EXPIRED, STALE, REVALIDATED or BYPASS
+    },
+    // Connections to the backends: one keep-alive agent per backend and worker (see upstreamAgents.js)
+    upstream: {
+        keepAlive: process.env.UPSTREAM_KEEPALIVE !== 'false', // default true
+        maxSockets: parseInt(process.env.UPSTREAM_MAX_SOCKETS || '256', 10), // Per backend; further requests queue (0 = unlimited)
+        maxFreeSockets: parseInt(process.env.UPSTREAM_MAX_FREE_SOCKETS || '32', 10), // Idle sockets kept per backend
+        idleTimeout: parseInt(process.env.UPSTREAM_IDLE_TIMEOUT || '4000', 10), // ms; keep below the backends' keep-alive timeout (Node: 5s)
+        // For `protocol: https` backends; `tls` on a server overrides these
+        tls: {
+            ca: process.env.UPSTREAM_TLS_CA_PATH || null, // CA bundle for the backends' certificates (system CAs if unset)
+            cert: process.env.UPSTREAM_TLS_CERT_PATH || null, // Client certificate, for backends that require one
+            key: process.env.UPSTREAM_TLS_KEY_PATH || null,
+            servername: process.env.UPSTREAM_TLS_SERVERNAME || null, // SNI name; defaults to the backend's host
+            verify: process.env.UPSTREAM_TLS_VERIFY !== 'false', // Verify backend certificates
+        },
+    },
+    // Retry failed attempts on another backend: any method if the connection never came up,
+    // idempotent methods (GET, HEAD, PUT, DELETE, ...) after a reset or timeout as well
+    retry: {
+        enabled: process.env.RETRY_ENABLED === 'true', // Opt-in
+        maxAttempts: parseInt(process.env.RETRY_MAX_ATTEMPTS || '3', 10), // Total tries, the first one included
+        perTryTimeout: parseInt(process.env.RETRY_PER_TRY_TIMEOUT || process.env.PROXY_TIMEOUT || '30000', 10), // Replaces proxyTimeout per try
+        deadline: parseInt(process.env.RETRY_DEADLINE || process.env.PROXY_TIMEOUT || '30000', 10), // No new try after this many ms; caps each try's timeout
+        bufferLimit: parseInt(process.env.RETRY_BUFFER_LIMIT || '1048576', 10), // Bodies up to this size are buffered and replayable (bytes)
+        budget: {
+            ratio: parseFloat(process.env.RETRY_BUDGET_RATIO || '0.2'), // Retries may add at most this share of requests...
+            minPerSecond: parseInt(process.env.RETRY_BUDGET_MIN_PER_SECOND || '5', 10), // ...or this many per second, whichever is more
+            windowMs: 10000,
+        },
+    },
 };
 
 // --- Basic Validation ---
-const validAlgorithms = ['ROUND_ROBIN', 'RANDOM', 'WEIGHTED_ROUND_ROBIN', 'WEIGHTED_RANDOM'];
-if (!validAlgorithms.includes(config.loadBalancingAlgorithm)) {
+if (!VALID_ALGORITHMS.includes(config.loadBalancingAlgorithm)) {
     console.warn(`Invalid loadBalancingAlgorithm "${config.loadBalancingAlgorithm}". Defaulting to WEIGHTED_ROUND_ROBIN.`);
     config.loadBalancingAlgorithm = 'WEIGHTED_ROUND_ROBIN';
 }
 
+if (!VALID_HASH_KEY_SOURCES.includes(config.consistentHash.keySource)) {
+    console.warn(`Invalid consistentHash.keySource "${config.consistentHash.keySource}". Defaulting to 'ip'.`);
+    config.consistentHash.keySource = 'ip';
+}
+if (['header', 'cookie'].includes(config.consistentHash.keySource) && !config.consistentHash.keyName) {
+    console.warn(`consistentHash.keySource '${config.consistentHash.keySource}' needs a keyName (LB_HASH_KEY_NAME). Defaulting to 'ip'.`);
+    config.consistentHash.keySource = 'ip';
+}
+
+if (!['http', 'tcp'].includes(config.healthCheck.type)) {
+    console.warn(`Invalid healthCheck.type "${config.healthCheck.type}". Defaulting to 'http'.`);
+    config.healthCheck.type = 'http';
+}
+try {
+    // Fail fast on malformed expectations instead of marking every backend unhealthy
+    const { parseStatusSpec, parseJsonAssertion } = require('./healthProbe');
+    parseStatusSpec(config.healthCheck.expect.statusCode);
+    if (config.healthCheck.expect.json) parseJsonAssertion(config.healthCheck.expect.json);
+    if (config.healthCheck.expect.bodyRegex) new RegExp(config.healthCheck.expect.bodyRegex);
+} catch (err) {
+    console.error(`Invalid health check expectations: ${err.message}`);
+    process.exit(1);
+}
+
+if (!['close', 'drain'].includes(config.webSocket.shutdownMode)) {
+    console.warn(`Invalid webSocket.shutdownMode "${config.webSocket.shutdownMode}". Defaulting to 'close'.`);
+    config.webSocket.shutdownMode = 'close';
+}
+
+try {
+    config.tcpListeners = parseTcpListeners(config.tcpListeners, DEFAULT_POOL);
+} catch (err) {
+    console.error(err.message);
+    process.exit(1);
+}
+if (!PROXY_PROTOCOL_VERSIONS.includes(config.tcp.proxyProtocol)) {
+    console.warn(`Invalid tcp.proxyProtocol "${config.tcp.proxyProtocol}". Defaulting to 'off'.`);
+    config.tcp.proxyProtocol = 'off';
+}
+
+if (!(config.retry.maxAttempts >= 1)) {
+    console.warn(`Invalid retry.maxAttempts "${config.retry.maxAttempts}". Defaulting to 1 (no retries).`);
+    config.retry.maxAttempts = 1;
+}
+
+if (!(config.proxyConnectTimeout >= 1)) {
+    console.warn(`Invalid proxyConnectTimeout "${config.proxyConnectTimeout}". Defaulting to 5000.`);
+    config.proxyConnectTimeout = 5000;
+}
+const CLIENT_LIMIT_DEFAULTS = { maxHeaderSize: 16384, headersTimeout: 10000, maxBodySize: 104857600, bodyTimeout: 60000, keepAliveTimeout: 5000 };
+Object.entries(CLIENT_LIMIT_DEFAULTS).forEach(([name, fallback]) => {
+    // Only sizes and timeouts that can be turned off may be 0
+    const minimum = ['maxBodySize', 'bodyTimeout'].includes(name) ? 0 : 1;
+    if (!(config.clientLimits[name] >= minimum)) {
+        console.warn(`Invalid clientLimits.${name} "${config.clientLimits[name]}". Defaulting to ${fallback}.`);
+        config.clientLimits[name] = fallback;
+    }
+});
+
+try {
+    if (!config.stickyTokens.keys) {
+        // Workers inherit the master's environment, so they all get the same random key
+        process.env.STICKY_KEYS = `auto:${crypto.randomBytes(32).toString('base64url')}`;
+        if (config.stickySession.enabled) console.warn("STICKY_KEYS is not set: sticky tokens are signed with a random key and stop being honoured when the balancer restarts.");
+    }
+    config.stickyTokens.keys = parseStickyKeys(process.env.STICKY_KEYS);
+    if (!config.stickyTokens.keys.length) throw new Error('STICKY_KEYS has no keys');
+} catch (err) {
+    console.error(err.message);
+    process.exit(1);
+}
+
+if (!FORWARDED_MODES.includes(config.forwarded.headers)) {
+    console.warn(`Invalid forwarded.headers "${config.forwarded.headers}". Defaulting to 'x-forwarded'.`);
+    config.forwarded.headers = 'x-forwarded';
+}
+try {
+    new ForwardedHeaders(config.forwarded); // Fail fast on a malformed trusted proxy
+} catch (err) {
+    console.error(err.message);
+    process.exit(1);
+}
+
+if (!(config.accessLog.sampleRate >= 0 && config.accessLog.sampleRate <= 1)) {
+    console.warn(`Invalid accessLog.sampleRate "${config.accessLog.sampleRate}". Defaulting to 1 (log everything).`);
+    config.accessLog.sampleRate = 1;
+}
+
+// --- External Config File ---
+// An invalid file is fatal at startup; on a live reload the master rejects it and keeps running
+config.liveConfigDefaults = pickLiveConfig(config); // Base for every reload, so keys removed from the file fall back
+if (config.configFile) {
+    try {
+        Object.assign(config, loadLiveConfig(config.configFile, pickLiveConfig(config), { tcpListeners: config.tcpListeners }));
+    } catch (err) {
+        console.error(err.message);
+        process.exit(1);
+    }
+}
+const poolNames = [...resolvePools(pickLiveConfig(config)).keys()];
+config.tcpListeners.forEach(({ port, pool }) => {
+    if (!poolNames.includes(pool)) {
+        console.error(`TCP listener ${port}: unknown pool '${pool}' (pools other than '${DEFAULT_POOL}' are defined in LB_CONFIG_FILE)`);
+        process.exit(1);
+    }
+});
+
 if (config.enableHttps && (!config.sslPaths.key || !config.sslPaths.cert)) {
     console.error("HTTPS is enabled, but SSL key or certificate path is missing!");
     process.exit(1);
 }
 
+if (!['TLSv1', 'TLSv1.1', 'TLSv1.2', 'TLSv1.3'].includes(config.tls.minVersion)) {
+    console.warn(`Invalid tls.minVersion "${config.tls.minVersion}". Defaulting to 'TLSv1.2'.`);
+    config.tls.minVersion = 'TLSv1.2';
+}
+if (!['off', 'optional', 'required'].includes(config.tls.clientAuth)) {
+    console.error(`Invalid tls.clientAuth "${config.tls.clientAuth}" (expected off, optional or required)!`);
+    process.exit(1);
+}
+if (config.tls.clientAuth !== 'off' && !config.tls.clientCaPath) {
+    console.error("Client certificate authentication is enabled, but TLS_CLIENT_CA_PATH is not set!");
+    process.exit(1);
+}
+if (!(config.http2.maxConcurrentStreams >= 1)) {
+    console.warn(`Invalid http2.maxConcurrentStreams "${config.http2.maxConcurrentStreams}". Defaulting to 100.`);
+    config.http2.maxConcurrentStreams = 100;
+}
+if (config.httpsRedirect && !config.enableHttps) {
+    console.warn("LB_HTTPS_REDIRECT needs HTTPS enabled (LB_ENABLE_HTTPS). The HTTP listener keeps proxying.");
+    config.httpsRedirect = false;
+}
+
+if (config.admin.enabled && !config.admin.token) {
+    console.error("Admin API is enabled, but ADMIN_TOKEN is not set!");
+    process.exit(1);
+}
+
 if (config.stickySession.enabled && config.numWorkers > 1) {
     console.warn("Sticky sessions with multiple workers rely on client cookies and may not guarantee stickiness if a worker handling the session dies. Ensure backend sessions are shared if necessary.");
 }
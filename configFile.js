@@ -0,0 +1,344 @@
+// configFile.js
+// External (JSON or YAML) config for the settings that can change at runtime: backends,
+// algorithm, sticky sessions, consistent hashing, health checks, outlier detection, the
+// named pools / routing rules, the header rules and the TCP proxy settings.
+// Used by config.js at startup and by the master for live reloads, so both go through the
+// same validation.
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+const { parseStatusSpec, parseJsonAssertion } = require('./healthProbe');
+const { compileRoute } = require('./router');
+const { compileHeaderRules, checkHostPolicy } = require('./headerRules');
+const { TLS_KEYS } = require('./upstreamAgents');
+const { PROXY_PROTOCOL_VERSIONS } = require('./tcpProxy');
+
+const LIVE_KEYS = ['servers', 'loadBalancingAlgorithm', 'consistentHash', 'stickySession', 'healthCheck', 'slowStart', 'outlierDetection', 'pools', 'routes', 'defaultPool', 'rateLimit', 'headers', 'hostHeader', 'tcp'];
+// Settings each pool has its own copy of; the top-level ones form the 'default' pool
+const POOL_KEYS = ['servers', 'loadBalancingAlgorithm', 'stickySession', 'consistentHash', 'healthCheck', 'slowStart', 'tcp'];
+const DEFAULT_POOL = 'default';
+const VALID_ALGORITHMS = ['ROUND_ROBIN', 'RANDOM', 'WEIGHTED_ROUND_ROBIN', 'WEIGHTED_RANDOM', 'LEAST_CONNECTIONS', 'WEIGHTED_LEAST_CONNECTIONS', 'CONSISTENT_HASH'];
+const VALID_HASH_KEY_SOURCES = ['ip', 'header', 'cookie', 'path'];
+const VALID_HEALTH_CHECK_TYPES = ['http', 'tcp'];
+const VALID_RATE_LIMIT_KEY_SOURCES = ['ip', 'header', 'route'];
+const VALID_STICKY_MODES = ['cookie', 'header', 'appCookie'];
+const VALID_STICKY_FAILOVER = ['repin', 'fail', 'keep'];
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof RegExp);
+
+// Objects merge key by key, everything else (arrays included) replaces
+function deepMerge(base, override) {
+    if (!isPlainObject(base) || !isPlainObject(override)) return override === undefined ? base : override;
+    const merged = { ...base };
+    Object.entries(override).forEach(([key, value]) => {
+        merged[key] = deepMerge(base[key], value);
+    });
+    return merged;
+}
+
+function pickLiveConfig(config) {
+    return LIVE_KEYS.reduce((live, key) => {
+        live[key] = config[key];
+        return live;
+    }, {});
+}
+
+// name -> complete pool settings. Named pools inherit whatever they leave out from the top
+// level, except the sticky cookie name: that gets the pool name appended so that pools don't
+// overwrite each other's cookie.
+function resolvePools(live) {
+    const base = POOL_KEYS.reduce((settings, key) => {
+        settings[key] = live[key];
+        return settings;
+    }, {});
+    const pools = new Map([[DEFAULT_POOL, base]]);
+    Object.entries(isPlainObject(live.pools) ? live.pools : {}).forEach(([name, pool]) => {
+        if (name === DEFAULT_POOL) return;
+        const settings = deepMerge(base, pool);
+        if (!pool?.stickySession?.cookieName && base.stickySession) {
+            settings.stickySession = { ...settings.stickySession, cookieName: `${base.stickySession.cookieName}_${name}` };
+        }
+        pools.set(name, settings);
+    });
+    return pools;
+}
+
+function parseConfigFile(filePath) {
+    const text = fs.readFileSync(filePath, 'utf8');
+    const extension = path.extname(filePath).toLowerCase();
+    const parsed = (extension === '.yaml' || extension === '.yml') ? YAML.parse(text) : JSON.parse(text);
+    if (!isPlainObject(parsed)) {
+        throw new Error('top level must be an object');
+    }
+    const unknownKeys = Object.keys(parsed).filter(key => !LIVE_KEYS.includes(key));
+    if (unknownKeys.length) {
+        throw new Error(`unsupported keys ${unknownKeys.join(', ')} (allowed: ${LIVE_KEYS.join(', ')})`);
+    }
+    return parsed;
+}
+
+// --- Validation ---
+const isPositiveInt = value => Number.isInteger(value) && value > 0;
+const isNonNegative = value => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+
+// Checks the settings of one pool; `prefix` is '' for the default pool and 'pools.<name>.' otherwise
+function validatePoolSettings(pool, prefix, errors) {
+    if (!Array.isArray(pool.servers) || pool.servers.length === 0) {
+        errors.push(`${prefix}servers must be a non-empty array`);
+    } else {
+        const seen = new Set();
+        pool.servers.forEach((server, i) => {
+            const where = `${prefix}servers[${i}]`;
+            if (!isPlainObject(server)) {
+                errors.push(`${where} must be an object`);
+                return;
+            }
+            if (typeof server.host !== 'string' || !server.host) errors.push(`${where}.host must be a non-empty string`);
+            if (!Number.isInteger(server.port) || server.port < 1 || server.port > 65535) errors.push(`${where}.port must be an integer between 1 and 65535`);
+            if (server.weight !== undefined && !isNonNegative(server.weight)) errors.push(`${where}.weight must be a non-negative number`);
+            if (server.force !== undefined && server.force !== null && !['up', 'down'].includes(server.force)) errors.push(`${where}.force must be 'up', 'down' or null`);
+            if (server.draining !== undefined && typeof server.draining !== 'boolean') errors.push(`${where}.draining must be a boolean`);
+            if (server.protocol !== undefined && !['http', 'https'].includes(server.protocol)) errors.push(`${where}.protocol must be 'http' or 'https'`);
+            if (server.maxConnections !== undefined && server.maxConnections !== null && !isPositiveInt(server.maxConnections)) errors.push(`${where}.maxConnections must be a positive integer`);
+            if (server.tls !== undefined) validateServerTls(server.tls, `${where}.tls`, errors);
+            if (server.healthCheck !== undefined) {
+                const hc = server.healthCheck;
+                if (!isPlainObject(hc)) errors.push(`${where}.healthCheck must be an object`);
+                else {
+                    if (hc.port !== undefined && (!Number.isInteger(hc.port) || hc.port < 1 || hc.port > 65535)) errors.push(`${where}.healthCheck.port must be a valid port`);
+                    if (hc.path !== undefined && (typeof hc.path !== 'string' || !hc.path.startsWith('/'))) errors.push(`${where}.healthCheck.path must start with '/'`);
+                    if (hc.type !== undefined && !VALID_HEALTH_CHECK_TYPES.includes(hc.type)) errors.push(`${where}.healthCheck.type must be one of ${VALID_HEALTH_CHECK_TYPES.join(', ')}`);
+                }
+            }
+            const id = `${server.host}:${server.port}`;
+            if (seen.has(id)) errors.push(`${where} duplicates backend ${id}`);
+            seen.add(id);
+        });
+    }
+
+    if (!VALID_ALGORITHMS.includes(pool.loadBalancingAlgorithm)) {
+        errors.push(`${prefix}loadBalancingAlgorithm must be one of ${VALID_ALGORITHMS.join(', ')}`);
+    }
+
+    const hash = pool.consistentHash || {};
+    if (!VALID_HASH_KEY_SOURCES.includes(hash.keySource)) {
+        errors.push(`${prefix}consistentHash.keySource must be one of ${VALID_HASH_KEY_SOURCES.join(', ')}`);
+    }
+    if (['header', 'cookie'].includes(hash.keySource) && !hash.keyName) {
+        errors.push(`${prefix}consistentHash.keyName is required when keySource is '${hash.keySource}'`);
+    }
+    if (!isPositiveInt(hash.virtualNodesPerWeight)) errors.push(`${prefix}consistentHash.virtualNodesPerWeight must be a positive integer`);
+
+    const sticky = pool.stickySession || {};
+    if (typeof sticky.enabled !== 'boolean') errors.push(`${prefix}stickySession.enabled must be a boolean`);
+    if (typeof sticky.cookieName !== 'string' || !sticky.cookieName) errors.push(`${prefix}stickySession.cookieName must be a non-empty string`);
+    if (!VALID_STICKY_MODES.includes(sticky.mode)) errors.push(`${prefix}stickySession.mode must be one of ${VALID_STICKY_MODES.join(', ')}`);
+    if (sticky.mode === 'header' && !/^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/.test(sticky.headerName || '')) errors.push(`${prefix}stickySession.headerName must be a valid header name`);
+    if (sticky.mode === 'appCookie' && (typeof sticky.appCookieName !== 'string' || !sticky.appCookieName)) errors.push(`${prefix}stickySession.appCookieName must be a non-empty string`);
+    if (!VALID_STICKY_FAILOVER.includes(sticky.failover)) errors.push(`${prefix}stickySession.failover must be one of ${VALID_STICKY_FAILOVER.join(', ')}`);
+    if (!isPositiveInt(sticky.ttl)) errors.push(`${prefix}stickySession.ttl must be a positive integer (ms)`);
+
+    const hc = pool.healthCheck || {};
+    if (typeof hc.enabled !== 'boolean') errors.push(`${prefix}healthCheck.enabled must be a boolean`);
+    if (!VALID_HEALTH_CHECK_TYPES.includes(hc.type)) errors.push(`${prefix}healthCheck.type must be one of ${VALID_HEALTH_CHECK_TYPES.join(', ')}`);
+    ['interval', 'timeout', 'rise', 'fall'].forEach(key => {
+        if (!isPositiveInt(hc[key])) errors.push(`${prefix}healthCheck.${key} must be a positive integer`);
+    });
+    if (typeof hc.path !== 'string' || !hc.path.startsWith('/')) errors.push(`${prefix}healthCheck.path must start with '/'`);
+    try {
+        parseStatusSpec(hc.expect?.statusCode ?? 200);
+        if (hc.expect?.json) parseJsonAssertion(hc.expect.json);
+        if (hc.expect?.bodyRegex) new RegExp(hc.expect.bodyRegex);
+    } catch (err) {
+        errors.push(`${prefix}healthCheck.expect: ${err.message}`);
+    }
+
+    const slowStart = pool.slowStart || {};
+    if (!Number.isInteger(slowStart.window) || slowStart.window < 0) errors.push(`${prefix}slowStart.window must be a non-negative integer (ms)`);
+    if (!isPositiveInt(slowStart.initialWeightPercent) || slowStart.initialWeightPercent > 100) errors.push(`${prefix}slowStart.initialWeightPercent must be an integer between 1 and 100`);
+
+    const tcp = pool.tcp || {};
+    if (!PROXY_PROTOCOL_VERSIONS.includes(tcp.proxyProtocol)) errors.push(`${prefix}tcp.proxyProtocol must be one of ${PROXY_PROTOCOL_VERSIONS.join(', ')}`);
+    if (!isPositiveInt(tcp.connectTimeout)) errors.push(`${prefix}tcp.connectTimeout must be a positive integer (ms)`);
+    if (!Number.isInteger(tcp.idleTimeout) || tcp.idleTimeout < 0) errors.push(`${prefix}tcp.idleTimeout must be a non-negative integer (ms, 0 = never)`);
+}
+
+// Upstream TLS overrides of one backend: { ca, cert, key, servername, verify }
+function validateServerTls(settings, where, errors) {
+    if (!isPlainObject(settings)) {
+        errors.push(`${where} must be an object`);
+        return;
+    }
+    const unknownKeys = Object.keys(settings).filter(key => !TLS_KEYS.includes(key));
+    if (unknownKeys.length) errors.push(`${where}: unsupported keys ${unknownKeys.join(', ')} (allowed: ${TLS_KEYS.join(', ')})`);
+    ['ca', 'cert', 'key'].forEach((name) => {
+        if (settings[name] === undefined || settings[name] === null) return;
+        if (typeof settings[name] !== 'string' || !fs.existsSync(settings[name])) errors.push(`${where}.${name} must be the path of an existing file`);
+    });
+    if (settings.servername !== undefined && settings.servername !== null && typeof settings.servername !== 'string') errors.push(`${where}.servername must be a string`);
+    if (settings.verify !== undefined && typeof settings.verify !== 'boolean') errors.push(`${where}.verify must be a boolean`);
+}
+
+// Global limit, or a route's own settings merged over it
+function validateRateLimit(limit, prefix, errors) {
+    if (typeof limit.enabled !== 'boolean') errors.push(`${prefix}enabled must be a boolean`);
+    if (!VALID_RATE_LIMIT_KEY_SOURCES.includes(limit.keySource)) errors.push(`${prefix}keySource must be one of ${VALID_RATE_LIMIT_KEY_SOURCES.join(', ')}`);
+    if (limit.keySource === 'header' && !limit.keyName) errors.push(`${prefix}keyName is required when keySource is 'header'`);
+    if (!isNonNegative(limit.rate)) errors.push(`${prefix}rate must be a non-negative number`);
+    if (limit.rate > 0 && !(limit.burst >= 1)) errors.push(`${prefix}burst must be at least 1`);
+    if (!Number.isInteger(limit.maxConcurrentPerClient) || limit.maxConcurrentPerClient < 0) errors.push(`${prefix}maxConcurrentPerClient must be a non-negative integer`);
+}
+
+// Returns a list of problems; an empty list means the config can be applied.
+// `tcpListeners` ([{ port, pool }], fixed at startup) need their pools to exist.
+function validateLiveConfig(live, { tcpListeners = [] } = {}) {
+    const errors = [];
+
+    validatePoolSettings(live, '', errors);
+    if (live.pools !== undefined && !isPlainObject(live.pools)) {
+        errors.push('pools must be an object of name: pool settings');
+    } else {
+        Object.entries(live.pools || {}).forEach(([name, pool]) => {
+            const prefix = `pools.${name}.`;
+            if (name === DEFAULT_POOL) {
+                errors.push(`pools.${DEFAULT_POOL} is reserved for the top-level settings`);
+            } else if (!/^[A-Za-z0-9_-]+$/.test(name)) {
+                errors.push(`pools.${name}: pool names may only contain letters, digits, '-' and '_'`);
+            } else if (!isPlainObject(pool)) {
+                errors.push(`pools.${name} must be an object`);
+            } else {
+                const unknownKeys = Object.keys(pool).filter(key => !POOL_KEYS.includes(key));
+                if (unknownKeys.length) errors.push(`pools.${name}: unsupported keys ${unknownKeys.join(', ')} (allowed: ${POOL_KEYS.join(', ')})`);
+                if (pool.servers === undefined) errors.push(`${prefix}servers is required`);
+                validatePoolSettings(resolvePools(live).get(name), prefix, errors);
+            }
+        });
+    }
+
+    const poolNames = [...resolvePools(live).keys()];
+    if (!poolNames.includes(live.defaultPool)) {
+        errors.push(`defaultPool must be one of ${poolNames.join(', ')}`);
+    }
+    tcpListeners.forEach(({ port, pool }) => {
+        if (!poolNames.includes(pool)) errors.push(`TCP listener ${port}: unknown pool '${pool}' (listeners need their pool for as long as they run)`);
+    });
+    if (!Array.isArray(live.routes)) {
+        errors.push('routes must be an array');
+    } else {
+        live.routes.forEach((route, i) => {
+            try {
+                compileRoute(route, i);
+                if (!poolNames.includes(route.pool)) errors.push(`routes[${i}].pool: unknown pool '${route.pool}'`);
+                if (route.rateLimit) validateRateLimit({ ...live.rateLimit, enabled: true, ...route.rateLimit }, `routes[${i}].rateLimit.`, errors);
+            } catch (err) {
+                errors.push(`routes[${i}]: ${err.message}`);
+            }
+        });
+    }
+    if (!isPlainObject(live.rateLimit)) errors.push('rateLimit must be an object');
+    else validateRateLimit(live.rateLimit, 'rateLimit.', errors);
+
+    [() => compileHeaderRules(live.headers), () => checkHostPolicy(live.hostHeader)].forEach((check) => {
+        try {
+            check();
+        } catch (err) {
+            errors.push(err.message);
+        }
+    });
+
+    const od = live.outlierDetection || {};
+    if (typeof od.enabled !== 'boolean') errors.push('outlierDetection.enabled must be a boolean');
+    ['windowMs', 'minRequests', 'consecutiveFailures', 'timeoutThreshold', 'baseEjectionMs', 'maxEjectionMs', 'halfOpenProbes'].forEach(key => {
+        if (!isNonNegative(od[key])) errors.push(`outlierDetection.${key} must be a non-negative number`);
+    });
+    if (!(od.failureRateThreshold > 0 && od.failureRateThreshold <= 1)) errors.push('outlierDetection.failureRateThreshold must be in (0, 1]');
+    if (!(od.maxEjectionPercent >= 0 && od.maxEjectionPercent <= 100)) errors.push('outlierDetection.maxEjectionPercent must be between 0 and 100');
+
+    return errors;
+}
+
+// Reads the file, merges it over `baseLive` and validates the result. Throws with every
+// problem listed, so a bad file is rejected as a whole and nothing half-applies.
+// `options` go to validateLiveConfig.
+function loadLiveConfig(filePath, baseLive, options = {}) {
+    let fileConfig;
+    try {
+        fileConfig = parseConfigFile(filePath);
+    } catch (err) {
+        throw new Error(`Cannot read config file ${filePath}: ${err.message}`);
+    }
+    const live = deepMerge(baseLive, fileConfig);
+    const errors = validateLiveConfig(live, options);
+    if (errors.length) {
+        throw new Error(`Invalid config file ${filePath}:\n  - ${errors.join('\n  - ')}`);
+    }
+    return live;
+}
+
+// --- Diff ---
+function flatten(value, prefix, out) {
+    if (isPlainObject(value)) {
+        Object.entries(value).forEach(([key, child]) => flatten(child, prefix ? `${prefix}.${key}` : key, out));
+    } else {
+        out[prefix] = value instanceof RegExp ? String(value) : JSON.stringify(value);
+    }
+    return out;
+}
+
+function diffServers(previousServers, nextServers, label, changes) {
+    const serverMap = servers => new Map((servers || []).map(s => [`${s.host}:${s.port}`, s]));
+    const before = serverMap(previousServers);
+    const after = serverMap(nextServers);
+
+    after.forEach((server, id) => {
+        if (!before.has(id)) {
+            changes.push(`+ ${label} ${id} (weight ${server.weight ?? 1})`);
+            return;
+        }
+        const oldFlat = flatten(before.get(id), '', {});
+        const newFlat = flatten(server, '', {});
+        new Set([...Object.keys(oldFlat), ...Object.keys(newFlat)]).forEach(key => {
+            if (oldFlat[key] !== newFlat[key]) changes.push(`~ ${label} ${id} ${key}: ${oldFlat[key] ?? 'unset'} -> ${newFlat[key] ?? 'unset'}`);
+        });
+    });
+    before.forEach((server, id) => {
+        if (!after.has(id)) changes.push(`- ${label} ${id}`);
+    });
+}
+
+// Human-readable list of changes between two live configs. Backends are matched by id
+// (host:port) so a reordered list doesn't show up as a change.
+function diffLiveConfig(previous, next) {
+    const changes = [];
+    diffServers(previous.servers, next.servers, 'server', changes);
+    new Set([...Object.keys(previous.pools || {}), ...Object.keys(next.pools || {})]).forEach(name => {
+        const oldPool = previous.pools?.[name];
+        const newPool = next.pools?.[name];
+        if (!oldPool) changes.push(`+ pool ${name}`);
+        else if (!newPool) changes.push(`- pool ${name}`);
+        diffServers(oldPool?.servers, newPool?.servers, `pool ${name} server`, changes);
+    });
+
+    const withoutServers = ({ servers: _servers, pools = {}, ...rest }) => ({
+        ...rest,
+        pools: Object.fromEntries(Object.entries(pools).map(([name, { servers: _poolServers, ...pool }]) => [name, pool])),
+    });
+    const oldFlat = flatten(withoutServers(previous), '', {});
+    const newFlat = flatten(withoutServers(next), '', {});
+    new Set([...Object.keys(oldFlat), ...Object.keys(newFlat)]).forEach(key => {
+        if (oldFlat[key] !== newFlat[key]) changes.push(`~ ${key}: ${oldFlat[key] ?? 'unset'} -> ${newFlat[key] ?? 'unset'}`);
+    });
+
+    return changes;
+}
+
+module.exports = {
+    DEFAULT_POOL,
+    VALID_ALGORITHMS,
+    VALID_HASH_KEY_SOURCES,
+    pickLiveConfig,
+    resolvePools,
+    loadLiveConfig,
+    validateLiveConfig,
+    diffLiveConfig,
+};
@@ -0,0 +1,128 @@
+// forwardedHeaders.js
+// X-Forwarded-For/-Proto/-Host/-Port and Forwarded (RFC 7239) on requests to the backends.
+// What a client sends in these headers is only believed if it connected from a trusted proxy
+// (trustedProxies: addresses, CIDR ranges, 'loopback' or 'private'): that proxy's headers are
+// kept and this hop is appended. Anyone else's are dropped and replaced, so clients can't
+// spoof their address. The client address the balancer goes by itself (access log, rate
+// limits, hashing on 'ip') is resolved from the same headers.
+const net = require('net');
+
+const FORWARDED_MODES = ['x-forwarded', 'forwarded', 'both', 'none'];
+const FORWARDING_HEADERS = ['x-forwarded-for', 'x-forwarded-proto', 'x-forwarded-host', 'x-forwarded-port', 'forwarded'];
+const NAMED_RANGES = {
+    loopback: ['127.0.0.0/8', '::1/128'],
+    private: ['10.0.0.0/8', '172.16.0.0/12', '192.168.0.0/16', 'fc00::/7'],
+};
+
+const ipFamily = address => (net.isIPv4(address) ? 'ipv4' : 'ipv6');
+
+// '::ffff:10.0.0.1' -> '10.0.0.1'; '"[::1]:8080"' and '10.0.0.1:8080' lose the port.
+// null for anything that isn't an address ('unknown', obfuscated identifiers, garbage).
+function normalizeAddress(value) {
+    let address = String(value || '').trim().replace(/^"|"$/g, '');
+    if (address.startsWith('[')) {
+        const end = address.indexOf(']');
+        address = end === -1 ? '' : address.slice(1, end);
+    } else if (/^[\d.]+:\d+$/.test(address)) {
+        address = address.slice(0, address.indexOf(':'));
+    }
+    if (address.toLowerCase().startsWith('::ffff:') && net.isIPv4(address.slice(7))) address = address.slice(7);
+    return net.isIP(address) ? address : null;
+}
+
+// Addresses of the hops so far, oldest first: X-Forwarded-For, or else the for= of Forwarded
+function forwardedChain(headers) {
+    if (headers['x-forwarded-for']) return headers['x-forwarded-for'].split(',').map(normalizeAddress);
+    if (!headers.forwarded) return [];
+    return headers.forwarded.split(',').map((element) => {
+        const pair = element.split(';').map(part => part.trim()).find(part => part.toLowerCase().startsWith('for='));
+        return pair ? normalizeAddress(pair.slice(4)) : null;
+    });
+}
+
+// Port the client connected to, from the Host header (or the scheme's default)
+function hostPort(host, encrypted) {
+    const match = /^(?:\[[^\]]*\]|[^:]*):(\d+)$/.exec(host || '');
+    if (match) return match[1];
+    return encrypted ? '443' : '80';
+}
+
+const appendValue = (current, value) => (current ? `${current}, ${value}` : value);
+
+// Addresses, CIDR ranges and named ranges ('loopback', 'private') -> net.BlockList.
+// Throws on anything else, naming the entry as `what`.
+function addressList(entries, what) {
+    const list = new net.BlockList();
+    entries.forEach((entry) => {
+        (NAMED_RANGES[entry] || [entry]).forEach((range) => {
+            const [address, prefix] = String(range).split('/');
+            const maxPrefix = net.isIPv4(address) ? 32 : 128;
+            if (!net.isIP(address) || (prefix !== undefined && !(/^\d+$/.test(prefix) && Number(prefix) <= maxPrefix))) {
+                throw new Error(`Invalid ${what} '${entry}' (expected an address, a CIDR range, 'loopback' or 'private')`);
+            }
+            if (prefix === undefined) list.addAddress(address, ipFamily(address));
+            else list.addSubnet(address, Number(prefix), ipFamily(address));
+        });
+    });
+    return list;
+}
+
+const inAddressList = (list, address) => Boolean(address) && list.check(address, ipFamily(address));
+
+class ForwardedHeaders {
+    // settings: { trustedProxies: [entry], headers: one of FORWARDED_MODES }
+    // Throws on an entry that is no address, CIDR range or named range.
+    constructor(settings) {
+        this.mode = settings.headers;
+        this.trusted = addressList(settings.trustedProxies, 'trusted proxy');
+    }
+
+    isTrusted(address) {
+        return inAddressList(this.trusted, address);
+    }
+
+    // Walking back from the peer, the first address that isn't a trusted proxy. An entry that
+    // can't be read ends the walk at the last one that could.
+    clientAddress(peer, headers) {
+        if (!this.isTrusted(peer)) return peer;
+        const chain = forwardedChain(headers);
+        let client = peer;
+        for (let i = chain.length - 1; i >= 0 && chain[i]; i--) {
+            client = chain[i];
+            if (!this.isTrusted(client)) break;
+        }
+        return client;
+    }
+
+    // Rewrites the forwarding headers of `req` for the backend; returns the client address
+    apply(req) {
+        const headers = req.headers;
+        const peer = normalizeAddress(req.socket.remoteAddress) || req.socket.remoteAddress;
+        const client = this.clientAddress(peer, headers);
+        if (!this.isTrusted(peer)) FORWARDING_HEADERS.forEach(name => delete headers[name]);
+
+        const encrypted = Boolean(req.socket.encrypted);
+        const proto = encrypted ? 'https' : 'http';
+        // A trusted proxy's own view of the original request wins over ours
+        if (this.mode === 'x-forwarded' || this.mode === 'both') {
+            headers['x-forwarded-for'] = appendValue(headers['x-forwarded-for'], peer);
+            headers['x-forwarded-proto'] ??= proto;
+            if (headers.host) headers['x-forwarded-host'] ??= headers.host;
+            headers['x-forwarded-port'] ??= hostPort(headers.host, encrypted);
+        }
+        if (this.mode === 'forwarded' || this.mode === 'both') {
+            let element = `for=${net.isIPv6(peer) ? `"[${peer}]"` : peer};proto=${proto}`;
+            if (headers.host) element += `;host="${headers.host}"`;
+            headers.forwarded = appendValue(headers.forwarded, element);
+        }
+        return client;
+    }
+}
+
+module.exports = {
+    ForwardedHeaders,
+    FORWARDED_MODES,
+    normalizeAddress,
+    addressList,
+    inAddressList,
+};
@@ -0,0 +1,62 @@
+// hashRing.js
+const crypto = require('crypto');
+
+// Consistent hash ring (ketama style). Every server gets `weight * virtualNodesPerWeight`
+// points on a 32-bit ring; a key is served by the first point clockwise from its hash.
+// Points depend only on the server id, so adding or removing a server only moves the keys
+// that land on that server's points - every other key keeps its backend.
+class HashRing {
+    constructor(servers = [], virtualNodesPerWeight = 40) {
+        this.virtualNodesPerWeight = virtualNodesPerWeight;
+        this.points = []; // Sorted [{ hash, server }]
+        this.build(servers);
+    }
+
+    static hash(key) {
+        return crypto.createHash('md5').update(String(key)).digest().readUInt32BE(0);
+    }
+
+    build(servers) {
+        const points = [];
+        servers.forEach(server => {
+            const virtualNodes = Math.max(1, Math.round((server.weight ?? 1) * this.virtualNodesPerWeight));
+            // One md5 digest yields four 32-bit points
+            for (let i = 0; i * 4 < virtualNodes; i++) {
+                const digest = crypto.createHash('md5').update(`${server.id}-${i}`).digest();
+                for (let j = 0; j < 4 && i * 4 + j < virtualNodes; j++) {
+                    points.push({ hash: digest.readUInt32BE(j * 4), server });
+                }
+            }
+        });
+        // Tie-break identical hashes by id so every worker builds the same ring
+        points.sort((a, b) => (a.hash - b.hash) || (a.server.id < b.server.id ? -1 : 1));
+        this.points = points;
+    }
+
+    // Returns the server owning `key`, walking clockwise past servers rejected by
+    // `isEligible` (e.g. unhealthy ones). Their keys spill over to the next server on the
+    // ring while everyone else's keys stay put.
+    getServer(key, isEligible = () => true) {
+        if (this.points.length === 0) return null;
+
+        const hash = HashRing.hash(key);
+        let low = 0;
+        let high = this.points.length;
+        while (low < high) {
+            const mid = (low + high) >>> 1;
+            if (this.points[mid].hash < hash) low = mid + 1;
+            else high = mid;
+        }
+
+        const rejected = new Set();
+        for (let step = 0; step < this.points.length; step++) {
+            const { server } = this.points[(low + step) % this.points.length];
+            if (rejected.has(server)) continue;
+            if (isEligible(server)) return server;
+            rejected.add(server);
+        }
+        return null;
+    }
+}
+
+module.exports = HashRing;
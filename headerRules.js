@@ -0,0 +1,144 @@
+// headerRules.js
+// Rules that add, set or remove request headers (on their way to the backend) and response
+// headers (on their way to the client). The global rules apply to every request, a route's
+// own rules run after them:
+//
+//   headers:
+//     request:
+//       set: { X-Client-IP: '${clientIp}' }  # replaces whatever was there
+//       add: { Via: '1.1 lb' }                # appended to whatever was there
+//       remove: [X-Debug]
+//     response:
+//       set: { X-Served-By: '${backend}' }
+//       remove: [Server, X-Powered-By]
+//
+// Within a set of rules removals run first, then `set`, then `add`. Values may use the
+// variables in VARIABLES; one without a value for the request (e.g. `backend` on a response
+// from the cache) is empty.
+
+const VARIABLES = ['clientIp', 'requestId', 'host', 'method', 'scheme', 'pool', 'route', 'backend'];
+const SECTIONS = ['request', 'response'];
+const OPERATIONS = ['remove', 'set', 'add'];
+const HEADER_NAME = /^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/;
+// Framing and connection headers belong to the proxy; rewriting them would corrupt messages
+const PROTECTED_HEADERS = ['content-length', 'transfer-encoding', 'connection', 'keep-alive', 'upgrade', 'te', 'trailer'];
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// 'id=${requestId}' -> vars => `id=${vars.requestId}`
+function compileTemplate(template, what) {
+    if (/[\r\n]/.test(template)) throw new Error(`${what} must not contain line breaks`);
+    const parts = template.split(/\$\{([^}]*)\}/); // Odd indexes are variable names
+    parts.forEach((part, i) => {
+        if (i % 2 === 1 && !VARIABLES.includes(part)) {
+            throw new Error(`${what}: unknown variable \${${part}} (available: ${VARIABLES.join(', ')})`);
+        }
+    });
+    if (parts.length === 1) return () => template;
+    return vars => parts.map((part, i) => (i % 2 === 1 ? (vars[part] ?? '') : part)).join('');
+}
+
+function checkHeaderName(name, what) {
+    if (!HEADER_NAME.test(name)) throw new Error(`${what}: '${name}' is not a valid header name`);
+    if (PROTECTED_HEADERS.includes(name.toLowerCase())) throw new Error(`${what}: ${name} is managed by the proxy and can't be changed`);
+}
+
+// Config (see above) -> { request: [rule], response: [rule] } with rules in the order they
+// run: { op: 'remove' | 'set' | 'add', name (lower case), value(vars) }.
+// Throws on anything malformed, so config validation can reuse it.
+function compileHeaderRules(spec, what = 'headers') {
+    const compiled = { request: [], response: [] };
+    if (spec === undefined || spec === null) return compiled;
+    if (!isPlainObject(spec)) throw new Error(`${what} must be an object with request and/or response rules`);
+    const unknownSections = Object.keys(spec).filter(key => !SECTIONS.includes(key));
+    if (unknownSections.length) throw new Error(`${what}: unsupported keys ${unknownSections.join(', ')} (allowed: ${SECTIONS.join(', ')})`);
+
+    SECTIONS.forEach((section) => {
+        const rules = spec[section];
+        const where = `${what}.${section}`;
+        if (rules === undefined || rules === null) return;
+        if (!isPlainObject(rules)) throw new Error(`${where} must be an object of ${OPERATIONS.join(', ')}`);
+        const unknownOperations = Object.keys(rules).filter(key => !OPERATIONS.includes(key));
+        if (unknownOperations.length) throw new Error(`${where}: unsupported keys ${unknownOperations.join(', ')} (allowed: ${OPERATIONS.join(', ')})`);
+
+        if (rules.remove !== undefined) {
+            if (!Array.isArray(rules.remove) || rules.remove.some(name => typeof name !== 'string')) throw new Error(`${where}.remove must be a list of header names`);
+            rules.remove.forEach((name) => {
+                checkHeaderName(name, `${where}.remove`);
+                compiled[section].push({ op: 'remove', name: name.toLowerCase() });
+            });
+        }
+        ['set', 'add'].forEach((op) => {
+            if (rules[op] === undefined) return;
+            if (!isPlainObject(rules[op])) throw new Error(`${where}.${op} must be an object of name: value`);
+            Object.entries(rules[op]).forEach(([name, value]) => {
+                checkHeaderName(name, `${where}.${op}`);
+                if (typeof value !== 'string' && typeof value !== 'number') throw new Error(`${where}.${op}.${name} must be a string`);
+                compiled[section].push({ op, name: name.toLowerCase(), value: compileTemplate(String(value), `${where}.${op}.${name}`) });
+            });
+        });
+    });
+    return compiled;
+}
+
+// Runs `rules` against `headers`: { get(name), set(name, value), add(name, value), remove(name) }
+function applyHeaderRules(rules, headers, vars) {
+    rules.forEach((rule) => {
+        if (rule.op === 'remove') headers.remove(rule.name);
+        else headers[rule.op](rule.name, rule.value(vars));
+    });
+}
+
+// Headers of an outgoing request: the client's (`base`) with `overlay` on top. Values only go
+// into the overlay; removals take the header out of both.
+function requestHeaderTarget(base, overlay) {
+    const get = name => (name in overlay ? overlay[name] : base[name]);
+    return {
+        get,
+        set: (name, value) => {
+            overlay[name] = value;
+        },
+        // Request headers repeat as a list in one line (cookies with their own separator)
+        add: (name, value) => {
+            const current = get(name);
+            overlay[name] = current === undefined ? value : `${current}${name === 'cookie' ? '; ' : ', '}${value}`;
+        },
+        remove: (name) => {
+            delete overlay[name];
+            delete base[name];
+        },
+    };
+}
+
+// Headers of a response that hasn't been sent yet
+function responseHeaderTarget(res) {
+    return {
+        get: name => res.getHeader(name),
+        set: (name, value) => res.setHeader(name, value),
+        // A header line of its own, so it also works for Set-Cookie
+        add: (name, value) => {
+            const current = res.getHeader(name);
+            if (current === undefined) res.setHeader(name, value);
+            else res.setHeader(name, [...(Array.isArray(current) ? current : [String(current)]), value]);
+        },
+        remove: name => res.removeHeader(name),
+    };
+}
+
+// Host header sent to the backends: 'preserve' (the client's), 'backend' (the backend's
+// host:port) or a fixed host. Throws if it's none of them.
+function checkHostPolicy(policy, what = 'hostHeader') {
+    if (policy === 'preserve' || policy === 'backend') return;
+    if (typeof policy !== 'string' || !/^([A-Za-z0-9-]+\.)*[A-Za-z0-9-]+(:\d{1,5})?$|^\[[0-9A-Fa-f:.]+\](:\d{1,5})?$/.test(policy)) {
+        throw new Error(`${what} must be 'preserve', 'backend' or a host name (optionally with a port)`);
+    }
+}
+
+module.exports = {
+    compileHeaderRules,
+    applyHeaderRules,
+    requestHeaderTarget,
+    responseHeaderTarget,
+    checkHostPolicy,
+    checkHeaderName,
+};
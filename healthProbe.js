@@ -0,0 +1,200 @@
+// healthProbe.js
+// Active health-check probes used by ServerPool. createHealthProbe() compiles the pool-wide
+// health-check config once and returns probe(server) -> Promise<{ ok, reason }>.
+const http = require('http');
+const https = require('https'); // Needed if health checking HTTPS backends (less common)
+const net = require('net');
+const { upstreamTlsOptions } = require('./upstreamAgents');
+
+const MAX_BODY_BYTES = 64 * 1024; // Enough for any sane health endpoint
+
+// --- Status Codes ---
+// Accepts 200, [200, 204], '200-299,304' or '2xx'
+function parseStatusSpec(spec = 200) {
+    const parts = Array.isArray(spec) ? spec : String(spec).split(',');
+    const matchers = parts.map(part => {
+        const text = String(part).trim().toLowerCase();
+        if (/^\dxx$/.test(text)) {
+            const base = parseInt(text[0], 10) * 100;
+            return code => code >= base && code < base + 100;
+        }
+        const range = text.match(/^(\d{3})\s*-\s*(\d{3})$/);
+        if (range) {
+            const low = parseInt(range[1], 10);
+            const high = parseInt(range[2], 10);
+            return code => code >= low && code <= high;
+        }
+        const exact = parseInt(text, 10);
+        if (Number.isNaN(exact)) throw new Error(`Invalid health check status "${part}"`);
+        return code => code === exact;
+    });
+    return code => matchers.some(match => match(code));
+}
+
+// --- JSON Assertions ---
+// Accepts 'status == "UP"', 'checks[0].ok != false' or { path, equals } / { path, notEquals }
+function parseJsonAssertion(assertion) {
+    if (typeof assertion === 'object') {
+        const negate = 'notEquals' in assertion;
+        return { path: assertion.path, negate, expected: negate ? assertion.notEquals : assertion.equals };
+    }
+    const match = String(assertion).match(/^\s*([\w.[\]-]+)\s*(==|!=)\s*(.+?)\s*$/);
+    if (!match) throw new Error(`Invalid health check JSON assertion "${assertion}"`);
+    let expected;
+    try {
+        expected = JSON.parse(match[3]);
+    } catch (err) {
+        expected = match[3]; // Bare word, compare as a string
+    }
+    return { path: match[1], negate: match[2] === '!=', expected };
+}
+
+function getJsonPath(value, path) {
+    return path.replace(/\[(\d+)\]/g, '.$1').split('.').filter(Boolean)
+        .reduce((current, key) => (current === null || current === undefined ? undefined : current[key]), value);
+}
+
+// --- Expectations ---
+function compileExpectations(expect = {}) {
+    const headers = Object.entries(expect.headers || {}).map(([name, expected]) => ({
+        name: name.toLowerCase(),
+        // Strings match as a substring (so 'application/json' accepts a charset suffix)
+        test: expected instanceof RegExp ? value => expected.test(value) : value => value.includes(String(expected)),
+        expected,
+    }));
+
+    return {
+        isStatusOk: parseStatusSpec(expect.statusCode ?? 200),
+        statusSpec: expect.statusCode ?? 200,
+        bodyIncludes: expect.bodyIncludes || null,
+        bodyRegex: expect.bodyRegex ? new RegExp(expect.bodyRegex) : null,
+        headers,
+        json: expect.json ? parseJsonAssertion(expect.json) : null,
+        needsBody: Boolean(expect.bodyIncludes || expect.bodyRegex || expect.json),
+    };
+}
+
+// Returns null when the response passes, otherwise the reason it failed
+function checkResponse(res, body, expectations) {
+    if (!expectations.isStatusOk(res.statusCode)) {
+        return `Status: ${res.statusCode} (expected ${expectations.statusSpec})`;
+    }
+    for (const header of expectations.headers) {
+        const value = res.headers[header.name];
+        if (value === undefined || !header.test(String(value))) {
+            return `Header ${header.name}: ${value === undefined ? 'missing' : `"${value}"`} (expected ${header.expected})`;
+        }
+    }
+    if (expectations.bodyIncludes && !body.includes(expectations.bodyIncludes)) {
+        return `Body check failed (missing "${expectations.bodyIncludes}")`;
+    }
+    if (expectations.bodyRegex && !expectations.bodyRegex.test(body)) {
+        return `Body check failed (no match for ${expectations.bodyRegex})`;
+    }
+    if (expectations.json) {
+        let parsed;
+        try {
+            parsed = JSON.parse(body);
+        } catch (err) {
+            return 'JSON check failed (body is not JSON)';
+        }
+        const { path, negate, expected } = expectations.json;
+        const actual = getJsonPath(parsed, path);
+        if ((actual === expected) === negate) {
+            return `JSON check failed (${path} is ${JSON.stringify(actual)}, expected ${negate ? 'not ' : ''}${JSON.stringify(expected)})`;
+        }
+    }
+    return null;
+}
+
+// --- Probes ---
+function tcpProbe(host, port, timeout) {
+    return new Promise((resolve) => {
+        const socket = net.connect({ host, port });
+        socket.setTimeout(timeout);
+        socket.once('connect', () => {
+            socket.destroy();
+            resolve({ ok: true });
+        });
+        socket.once('timeout', () => {
+            socket.destroy();
+            resolve({ ok: false, reason: 'Error: Timeout' });
+        });
+        socket.once('error', (err) => resolve({ ok: false, reason: `Error: ${err.code || err.message}` }));
+    });
+}
+
+function httpProbe(server, settings, expectations) {
+    const options = {
+        host: server.host,
+        port: settings.port,
+        path: settings.path,
+        method: settings.method,
+        timeout: settings.timeout,
+        headers: settings.hostHeader ? { Host: settings.hostHeader } : {},
+    };
+
+    // Determine http or https based on server config (or assume http)
+    const protocol = (server.protocol === 'https' ? https : http); // Add 'protocol: https' to server config if needed
+    if (server.protocol === 'https') {
+        // Same CA, client certificate and SNI name as the proxied traffic
+        try {
+            Object.assign(options, upstreamTlsOptions(server, settings.tls));
+        } catch (err) {
+            return Promise.resolve({ ok: false, reason: `Error: ${err.message}` });
+        }
+    }
+
+    return new Promise((resolve) => {
+        const req = protocol.request(options, (res) => {
+            let body = '';
+            res.setEncoding('utf8');
+            res.on('data', chunk => {
+                if (expectations.needsBody && body.length < MAX_BODY_BYTES) body += chunk;
+            });
+            res.on('end', () => {
+                const reason = checkResponse(res, body, expectations);
+                resolve(reason ? { ok: false, reason } : { ok: true });
+            });
+            res.on('error', (err) => resolve({ ok: false, reason: `Error: ${err.code || err.message}` }));
+        });
+
+        req.on('error', (err) => resolve({ ok: false, reason: `Error: ${err.code || err.message}` }));
+        req.on('timeout', () => {
+            req.destroy(); // Ensure socket is destroyed
+            resolve({ ok: false, reason: 'Error: Timeout' });
+        });
+
+        req.end();
+    });
+}
+
+// Pool-wide settings can be overridden per backend through `server.healthCheck`
+// ({ type, path, port, hostHeader }), e.g. when the admin port differs from the traffic port.
+function createHealthProbe(healthCheckConfig = {}) {
+    const expectations = compileExpectations(healthCheckConfig.expect);
+
+    return function probe(server) {
+        const overrides = server.healthCheck || {};
+        const settings = {
+            type: overrides.type || healthCheckConfig.type || 'http',
+            path: overrides.path || healthCheckConfig.path || '/',
+            port: overrides.port || healthCheckConfig.port || server.port,
+            hostHeader: overrides.hostHeader || healthCheckConfig.hostHeader || null,
+            method: healthCheckConfig.method || 'GET',
+            tls: healthCheckConfig.upstreamTls,
+            timeout: healthCheckConfig.timeout,
+        };
+
+        if (settings.type === 'tcp') {
+            return tcpProbe(server.host, settings.port, settings.timeout);
+        }
+        return httpProbe(server, settings, expectations);
+    };
+}
+
+module.exports = {
+    createHealthProbe,
+    parseStatusSpec,
+    parseJsonAssertion,
+};
@@ -2,7 +2,14 @@
 const cluster = require('cluster');
 const os = require('os');
 const config = require('./config');
-// Optional: const fs = require('fs'); // For watching config files
+const fs = require('fs');
+const PoolRegistry = require('./poolRegistry');
+const { startMetricsServer, aggregateClusterMetrics, renderClusterPrometheus } = require('./metricsServer');
+const { DEFAULT_POOL, pickLiveConfig, loadLiveConfig, validateLiveConfig, diffLiveConfig } = require('./configFile');
+const { startAdminApi, httpError } = require('./adminApi');
+const { RateLimiter } = require('./rateLimiter');
+const { AccessLogWriter } = require('./accessLog');
+const { certificateFiles } = require('./tlsCertificates');
 
 const numCPUs = config.numWorkers || os.cpus().length;
 
@@ -11,6 +18,132 @@ if (cluster.isMaster) {
     console.log(`Forking ${numCPUs} workers...`);
 
     const workers = new Map();
+    const workerIds = new Map(); // pid -> WORKER_ID (0 .. numWorkers-1), handed on to the worker's replacement
+    let shuttingDown = false;
+    let liveConfig = pickLiveConfig(config); // What the workers are currently running with
+
+    // --- Cluster-wide Health Checks ---
+    // The master runs the active health checks once for the whole cluster and pushes
+    // every state change to the workers, so backends see one checker instead of one per worker
+    // and all workers agree on which backends are up. Every pool has its own checks.
+    const pools = new PoolRegistry(liveConfig, settings => ({
+        servers: settings.servers,
+        algorithm: settings.loadBalancingAlgorithm,
+        healthCheckConfig: { ...settings.healthCheck, upstreamTls: config.upstream.tls },
+        options: { slowStart: settings.slowStart }, // Only for the effective weights in the metrics
+    }));
+
+    // One healthUpdate message per pool
+    const getHealthSnapshot = () => {
+        const snapshot = [];
+        pools.forEach((pool, poolName) => snapshot.push({
+            type: 'healthUpdate',
+            pool: poolName,
+            servers: pool.servers.map(({ id, healthy }) => ({ id, healthy })),
+        }));
+        return snapshot;
+    };
+
+    function broadcast(msg) {
+        workers.forEach(worker => {
+            if (!worker.isConnected()) return; // Exiting; its replacement gets the current state on 'ready'
+            try {
+                worker.send(msg);
+            } catch (err) {
+                console.error(`Master: Error sending ${msg.type} to worker ${worker.process.pid}`, err);
+            }
+        });
+    }
+
+    pools.on('healthChange', (poolName, server) => {
+        broadcast({ type: 'healthUpdate', pool: poolName, servers: [{ id: server.id, healthy: server.healthy }] });
+    });
+
+    // --- Worker Stats Collection ---
+    // Workers report their counters on request; missing replies are dropped after the timeout.
+    const pendingStatsRequests = new Map(); // requestId -> { waitingFor: Set<pid>, stats: Map<pid, stats>, finish }
+    let statsRequestSeq = 0;
+
+    function collectWorkerStats(timeoutMs = 1000) {
+        return new Promise((resolve) => {
+            const requestId = ++statsRequestSeq;
+            const pending = { waitingFor: new Set(workers.keys()), stats: new Map() };
+            pending.finish = () => {
+                clearTimeout(pending.timer);
+                pendingStatsRequests.delete(requestId);
+                resolve([...pending.stats.values()]);
+            };
+            pending.timer = setTimeout(pending.finish, timeoutMs);
+            pendingStatsRequests.set(requestId, pending);
+
+            workers.forEach((worker, pid) => {
+                if (!worker.isConnected()) {
+                    pending.waitingFor.delete(pid);
+                    return;
+                }
+                try {
+                    worker.send({ type: 'collectStats', requestId });
+                } catch (err) {
+                    pending.waitingFor.delete(pid);
+                }
+            });
+            if (pending.waitingFor.size === 0) pending.finish();
+        });
+    }
+
+    // --- Rate Limiting ---
+    // Buckets and concurrency counters for all workers; they ask before proxying a request
+    const rateLimiter = new RateLimiter();
+
+    // --- Access Log ---
+    // Workers send their entries in batches; the master is the only writer of the file
+    const accessLogWriter = config.accessLog.enabled ? new AccessLogWriter(config.accessLog) : null;
+    if (accessLogWriter) console.log(`Master: Writing access log to ${config.accessLog.path}`);
+
+    cluster.on('message', (worker, msg) => {
+        if (!msg || !msg.type) return;
+        if (msg.type === 'accessLog') {
+            if (accessLogWriter && typeof msg.text === 'string') accessLogWriter.write(msg.text);
+            return;
+        }
+        if (msg.type === 'limitAcquire') {
+            const result = rateLimiter.acquire(worker.process.pid, msg.requestId, msg.policy);
+            if (worker.isConnected()) worker.send({ type: 'limitResult', requestId: msg.requestId, result });
+            return;
+        }
+        if (msg.type === 'limitRelease') {
+            rateLimiter.release(worker.process.pid, msg.requestId);
+            return;
+        }
+        if (msg.type === 'ready') {
+            // New worker: bring it in line with the current (possibly reloaded) config and health state
+            if (!worker.isConnected()) return;
+            worker.send({ type: 'updateConfig', config: liveConfig });
+            getHealthSnapshot().forEach(update => worker.send(update));
+        } else if (msg.type === 'workerStats') {
+            const pending = pendingStatsRequests.get(msg.requestId);
+            if (!pending) return; // Arrived after the timeout
+            pending.stats.set(worker.process.pid, msg.stats);
+            pending.waitingFor.delete(worker.process.pid);
+            if (pending.waitingFor.size === 0) pending.finish();
+        } else if (msg.type === 'markUnhealthy') {
+            const pool = pools.get(msg.pool);
+            const server = pool && pool.getServerById(msg.serverId);
+            if (server) pool.markServerUnhealthy(server, `Reported by worker ${worker.process.pid}: ${msg.reason}`);
+        }
+    });
+
+    // --- Metrics Server ---
+    let metricsServer = null;
+    if (config.metrics.enabled) {
+        metricsServer = startMetricsServer(config.metrics, async () => {
+            const workerStats = await collectWorkerStats();
+            return aggregateClusterMetrics(pools, workerStats, workers.size);
+        }, async () => {
+            const workerStats = await collectWorkerStats();
+            return renderClusterPrometheus(pools, workerStats);
+        });
+    }
 
     // Fork workers.
     for (let i = 0; i < numCPUs; i++) {
@@ -19,98 +152,465 @@ if (cluster.isMaster) {
 
     // --- Worker Management ---
     function forkWorker(id) {
-        const worker = cluster.fork({ WORKER_ID: id }); // Pass ID if needed
+        // The new worker gets the last slot for backend connection limits, the others are told
+        const worker = cluster.fork({ WORKER_ID: id, LB_WORKER_SLOT: workers.size, LB_WORKER_SLOTS: workers.size + 1 });
+        worker.startedAt = Date.now();
         workers.set(worker.process.pid, worker);
-        console.log(`Worker ${worker.process.pid} started.`);
-
-        // Optional: Assign specific tasks (like metrics server) to one worker
-        if (id === 0 && config.metrics.enabled) {
-             // Send message to worker 0 telling it to start the metrics server
-             // Use timeout to ensure worker is ready to receive messages
-            setTimeout(() => {
-                worker.send({ type: 'startMetrics' });
-            }, 1000); // Adjust delay if needed
+        workerIds.set(worker.process.pid, id);
+        assignWorkerSlots();
+        console.log(`Worker ${worker.process.pid} started (ID: ${id}).`);
+        return worker;
+    }
+
+    // Asks a worker to drain and exit; resolves once it has. It gets drainTimeout (plus a margin
+    // for its own cleanup) before it is killed.
+    function retireWorker(worker) {
+        return new Promise((resolve) => {
+            if (worker.isDead()) {
+                resolve();
+                return;
+            }
+            worker.retiring = true;
+            const killTimer = setTimeout(() => {
+                console.error(`Master: Worker ${worker.process.pid} did not exit after draining, killing it.`);
+                worker.process.kill('SIGKILL');
+            }, config.workerLifecycle.drainTimeout + 5000);
+            worker.once('exit', () => {
+                clearTimeout(killTimer);
+                resolve();
+            });
+            if (worker.isConnected()) worker.send('shutdown');
+        });
+    }
+
+    // Resolves true once the worker's listeners are up, false if it dies or takes longer than `timeout`
+    function waitForListening(worker, timeout) {
+        return new Promise((resolve) => {
+            const done = (listening) => {
+                clearTimeout(timer);
+                worker.off('message', onMessage);
+                worker.off('exit', onExit);
+                resolve(listening);
+            };
+            const onMessage = (msg) => {
+                if (msg && msg.type === 'listening') done(true);
+            };
+            const onExit = () => done(false);
+            const timer = setTimeout(() => done(false), timeout);
+            worker.on('message', onMessage);
+            worker.on('exit', onExit);
+        });
+    }
+
+    // --- Rolling Restart ---
+    // Replaces the workers one at a time, for deploying new code: the replacement starts (and
+    // takes over the worker's ID), and only once it listens is the old one drained. The listening
+    // sockets are shared, so there are always workers accepting connections. A replacement that
+    // fails to come up stops the restart and leaves the remaining workers running.
+    let rollingRestartRunning = false;
+
+    async function rollingRestart(trigger) {
+        if (rollingRestartRunning || shuttingDown) {
+            console.warn(`Master: Rolling restart (${trigger}) ignored, ${shuttingDown ? 'shutting down' : 'one is already running'}.`);
+            return false;
+        }
+        rollingRestartRunning = true;
+        const previousWorkers = [...workers.values()].filter(worker => !worker.retiring);
+        console.log(`Master: Rolling restart of ${previousWorkers.length} worker(s) (${trigger})...`);
+        try {
+            for (const worker of previousWorkers) {
+                if (shuttingDown) return true;
+                if (worker.isDead()) continue; // Crashed meanwhile; its respawn already runs the new code
+                const id = workerIds.get(worker.process.pid);
+                const replacement = forkWorker(id);
+                if (!await waitForListening(replacement, config.workerLifecycle.startTimeout)) {
+                    console.error(`Master: Replacement for worker ${worker.process.pid} (ID: ${id}) did not start listening, stopping the rolling restart.`);
+                    await retireWorker(replacement);
+                    return true;
+                }
+                console.log(`Master: Worker ${replacement.process.pid} took over ID ${id}, draining worker ${worker.process.pid}...`);
+                await retireWorker(worker);
+            }
+            console.log('Master: Rolling restart complete.');
+        } finally {
+            rollingRestartRunning = false;
         }
+        return true;
     }
 
+    process.on(config.workerLifecycle.rollingRestartSignal, () => rollingRestart(config.workerLifecycle.rollingRestartSignal));
+
+    // Each worker enforces its share of every backend's maxConnections, so the shares are
+    // handed out again whenever the number of workers changes
+    function assignWorkerSlots() {
+        let index = 0;
+        workers.forEach((worker) => {
+            if (worker.isConnected()) worker.send({ type: 'workerSlot', index, count: workers.size });
+            index++;
+        });
+    }
+
+    // --- Crash Respawn ---
+    // A crashed worker is replaced under the same ID after a delay that doubles with every crash
+    // in a row of that ID, so a crash loop doesn't keep the machine busy forking. A worker that
+    // ran for stableAfter ms before crashing starts the backoff over.
+    const crashCounts = new Map(); // WORKER_ID -> crashes in a row
+    const respawnTimers = new Set();
+
     cluster.on('exit', (worker, code, signal) => {
         const pid = worker.process.pid;
-        console.log(`Worker ${pid} died (code: ${code}, signal: ${signal}). Forking a new one...`);
+        const id = workerIds.get(pid);
         workers.delete(pid);
-        // Don't overwhelm system if workers keep crashing rapidly
-        setTimeout(() => forkWorker(workers.size), 1000); // Restart after 1 second delay
+        workerIds.delete(pid);
+        rateLimiter.releaseWorker(pid);
+        assignWorkerSlots();
+
+        if (shuttingDown) {
+            console.log(`Worker ${pid} exited (code: ${code}, signal: ${signal}). ${workers.size} worker(s) left.`);
+            if (workers.size === 0) finishShutdown(0);
+            return;
+        }
+        if (worker.retiring) {
+            console.log(`Worker ${pid} (ID: ${id}) exited after draining.`);
+            return;
+        }
+
+        const crashes = Date.now() - worker.startedAt >= config.workerLifecycle.stableAfter ? 1 : (crashCounts.get(id) || 0) + 1;
+        crashCounts.set(id, crashes);
+        const delay = Math.min(config.workerLifecycle.respawnDelay * 2 ** (crashes - 1), config.workerLifecycle.respawnMaxDelay);
+        console.log(`Worker ${pid} (ID: ${id}) died (code: ${code}, signal: ${signal}). Crash ${crashes} in a row, forking a new one in ${delay}ms...`);
+        const timer = setTimeout(() => {
+            respawnTimers.delete(timer);
+            forkWorker(id);
+        }, delay);
+        respawnTimers.add(timer);
     });
 
     // --- Graceful Shutdown for Master ---
+    // Workers drain (see gracefulShutdown in worker.js) and the master exits once the last one
+    // has, or kills the stragglers after drainTimeout plus a margin.
+    function finishShutdown(code) {
+        console.log("Master shutting down.");
+        if (accessLogWriter) accessLogWriter.close(() => process.exit(code));
+        else process.exit(code);
+    }
+
     const shutdownMaster = (signal) => {
+        if (shuttingDown) {
+            console.log(`Master ${process.pid} received ${signal}, already waiting for ${workers.size} worker(s) to drain.`);
+            return;
+        }
+        shuttingDown = true;
         console.log(`\nMaster ${process.pid} received ${signal}. Shutting down workers...`);
-        // Send shutdown message to all workers
-        workers.forEach(worker => {
-             try {
-                 worker.send('shutdown');
-             } catch (err) {
-                 console.error(`Master: Error sending shutdown to worker ${worker.process.pid}`, err);
-             }
-        });
+        respawnTimers.forEach(timer => clearTimeout(timer));
+        pools.stopHealthChecks();
+        if (metricsServer) metricsServer.close();
+        if (adminServer) adminServer.close();
+        if (drainWatchTimer) clearInterval(drainWatchTimer);
+        if (config.configFile) fs.unwatchFile(config.configFile);
+        if (certificateWatchTimer) clearInterval(certificateWatchTimer);
+        if (workers.size === 0) {
+            finishShutdown(0);
+            return;
+        }
+        workers.forEach(worker => retireWorker(worker));
 
-        // Allow time for workers to shut down
         setTimeout(() => {
-            console.log("Master shutting down.");
-            process.exit(0);
-        }, 5000); // Give workers 5 seconds
+            console.error(`Master: ${workers.size} worker(s) still running after the drain timeout, exiting anyway.`);
+            finishShutdown(1);
+        }, config.workerLifecycle.drainTimeout + 10000).unref();
     };
 
     process.on('SIGTERM', () => shutdownMaster('SIGTERM'));
     process.on('SIGINT', () => shutdownMaster('SIGINT'));
 
-    // --- Dynamic Config Reload (Basic Example using SIGHUP) ---
-    /*
-    process.on(config.dynamicConfigReloadSignal, () => {
-        console.log(`Master ${process.pid} received ${config.dynamicConfigReloadSignal}. Reloading configuration...`);
-        try {
-            // Re-read or fetch your configuration here
-            // For simplicity, let's assume we re-read config.js (Node caches modules, so this needs care)
-            // A better approach is reading a JSON file or using a dedicated config management system.
+    // --- Runtime Pool Management (Admin API) ---
+    // Backend changes go through the same validate -> apply -> broadcast path as config
+    // reloads, so every worker sees the same list. A later config file reload replaces them
+    // with the file's backend lists.
+    const pendingRemovals = new Set(); // 'pool/id' keys of backends to remove once their connections have drained
+    const removalErrors = new Map(); // 'pool/id' -> why the last removal attempt was rejected (retried every poll)
+    const reportedDrained = new Set();
+    let drainWatchTimer = null;
+    let drainCheckRunning = false;
 
-            // Example: Reading a theoretical 'servers.json'
-            // const newServersConfig = JSON.parse(fs.readFileSync('servers.json', 'utf8'));
-            // const newConfig = { servers: newServersConfig }; // Only update parts you want workers to know
+    const serverId = (server) => `${server.host}:${server.port}`;
+    const backendKey = (poolName, id) => `${poolName}/${id}`;
+    const poolServers = (live, poolName) => (poolName === DEFAULT_POOL ? live.servers : live.pools[poolName].servers);
+    const findServerConfig = (poolName, id) => poolServers(liveConfig, poolName).find(server => serverId(server) === id);
 
-            // Invalidate cache for config.js if needed (use with caution)
-            delete require.cache[require.resolve('./config')];
-            const reloadedConfigModule = require('./config'); // Re-require
+    function requirePool(poolName) {
+        if (!pools.get(poolName)) throw httpError(404, `Unknown pool ${poolName}`);
+    }
 
-            console.log("Broadcasting config update to workers...");
-            workers.forEach(worker => {
-                try {
-                    // Send only the relevant parts of the config to workers
-                    worker.send({ type: 'updateConfig', config: { servers: reloadedConfigModule.servers } });
-                } catch (err) {
-                    console.error(`Master: Error sending config update to worker ${worker.process.pid}`, err);
-                }
+    function changeServers(poolName, servers, description) {
+        const nextConfig = poolName === DEFAULT_POOL
+            ? { ...liveConfig, servers }
+            : { ...liveConfig, pools: { ...liveConfig.pools, [poolName]: { ...liveConfig.pools[poolName], servers } } };
+        const errors = validateLiveConfig(nextConfig, { tcpListeners: config.tcpListeners });
+        if (errors.length) throw httpError(400, errors.join('; '));
+        console.log(`Master: Admin API: ${description}\n  ${diffLiveConfig(liveConfig, nextConfig).join('\n  ')}`);
+        applyLiveConfig(nextConfig);
+    }
+
+    // In-flight requests and open WebSockets per 'pool/id', summed across workers
+    async function getConnectionCounts() {
+        const counts = new Map();
+        const workerStats = await collectWorkerStats();
+        workerStats.forEach(stats => stats.servers.forEach(server => {
+            const key = backendKey(server.pool, server.id);
+            const total = counts.get(key) || { activeConnections: 0, activeSockets: 0 };
+            total.activeConnections += server.activeConnections;
+            total.activeSockets += server.activeSockets || 0;
+            counts.set(key, total);
+        }));
+        return counts;
+    }
+
+    const isIdle = (count) => !count || (count.activeConnections === 0 && count.activeSockets === 0);
+
+    // A draining backend only counts as drained once its WebSockets have closed as well
+    function backendState(server, count) {
+        if (server.draining) return isIdle(count) ? 'drained' : 'draining';
+        if (server.force === 'down') return 'forced-down';
+        if (server.force === 'up') return 'forced-up';
+        return server.healthy ? 'up' : 'down';
+    }
+
+    // Polls cluster-wide connection counts while any backend is draining; drained backends
+    // queued for removal are removed, the others stay out of rotation until un-drained.
+    function watchDrains() {
+        if (drainWatchTimer) return;
+        drainWatchTimer = setInterval(async () => {
+            const draining = [];
+            pools.forEach((pool, poolName) => pool.servers
+                .filter(server => server.draining)
+                .forEach(server => draining.push({ poolName, id: server.id })));
+            if (draining.length === 0) {
+                clearInterval(drainWatchTimer);
+                drainWatchTimer = null;
+                return;
+            }
+            if (drainCheckRunning) return;
+            drainCheckRunning = true;
+            try {
+                const counts = await getConnectionCounts();
+                draining.filter(({ poolName, id }) => isIdle(counts.get(backendKey(poolName, id)))).forEach(({ poolName, id }) => {
+                    const key = backendKey(poolName, id);
+                    if (pendingRemovals.has(key)) {
+                        // Rejected removals (say of a pool's last backend) stay queued and show up in list()
+                        try {
+                            changeServers(poolName, poolServers(liveConfig, poolName).filter(server => serverId(server) !== id),
+                                `removed drained backend ${id} from pool ${poolName}`);
+                            pendingRemovals.delete(key);
+                            removalErrors.delete(key);
+                        } catch (err) {
+                            if (removalErrors.get(key) !== err.message) {
+                                console.error(`Master: Can't remove drained backend ${id} from pool ${poolName}: ${err.message}`);
+                            }
+                            removalErrors.set(key, err.message);
+                        }
+                    } else if (!reportedDrained.has(key)) {
+                        reportedDrained.add(key);
+                        console.log(`Master: Backend ${id} in pool ${poolName} has drained (no active connections or WebSockets).`);
+                    }
+                });
+            } catch (err) {
+                console.error('Master: Error while checking draining backends', err);
+            } finally {
+                drainCheckRunning = false;
+            }
+        }, config.admin.drainPollInterval);
+    }
+
+    // Every method takes the pool name; list() without one covers all pools
+    const backends = {
+        async list(poolName = null) {
+            if (poolName) requirePool(poolName);
+            const counts = await getConnectionCounts();
+            const list = [];
+            pools.forEach((pool, name) => {
+                if (poolName && name !== poolName) return;
+                pool.getMetrics().servers.forEach(server => {
+                    const key = backendKey(name, server.id);
+                    const count = counts.get(key);
+                    list.push({
+                        pool: name,
+                        ...server,
+                        activeConnections: count ? count.activeConnections : 0,
+                        activeSockets: count ? count.activeSockets : 0,
+                        state: backendState(server, count),
+                        pendingRemoval: pendingRemovals.has(key),
+                        removalError: removalErrors.get(key) ?? null,
+                    });
+                });
             });
-            console.log("Config update broadcast complete.");
+            return { backends: list };
+        },
+
+        add(spec, poolName = DEFAULT_POOL) {
+            requirePool(poolName);
+            const { host, port, weight, protocol, healthCheck } = spec;
+            const server = Object.fromEntries(Object.entries({ host, port, weight, protocol, healthCheck })
+                .filter(([, value]) => value !== undefined));
+            const id = serverId(server);
+            if (findServerConfig(poolName, id)) throw httpError(409, `Backend ${id} already exists in pool ${poolName}`);
+            changeServers(poolName, [...poolServers(liveConfig, poolName), server], `added backend ${id} to pool ${poolName}`);
+            return { pool: poolName, id, ...server };
+        },
+
+        update(id, patch, poolName = DEFAULT_POOL) {
+            requirePool(poolName);
+            const existing = findServerConfig(poolName, id);
+            if (!existing) throw httpError(404, `Unknown backend ${id} in pool ${poolName}`);
+            const unknownKeys = Object.keys(patch).filter(key => !['weight', 'force', 'draining'].includes(key));
+            if (unknownKeys.length) throw httpError(400, `Cannot change ${unknownKeys.join(', ')} (allowed: weight, force, draining)`);
+
+            const key = backendKey(poolName, id);
+            const updated = { ...existing, ...patch };
+            if (updated.force === null) delete updated.force;
+            if (updated.draining === false) {
+                delete updated.draining;
+                pendingRemovals.delete(key); // Un-draining cancels a pending removal
+                removalErrors.delete(key);
+                reportedDrained.delete(key);
+            }
+            changeServers(poolName, poolServers(liveConfig, poolName).map(server => (server === existing ? updated : server)),
+                `updated backend ${id} in pool ${poolName}`);
+            if (updated.draining) watchDrains();
+            return { pool: poolName, id, ...updated };
+        },
+
+        remove(id, { drain }, poolName = DEFAULT_POOL) {
+            requirePool(poolName);
+            const existing = findServerConfig(poolName, id);
+            if (!existing) throw httpError(404, `Unknown backend ${id} in pool ${poolName}`);
+            const key = backendKey(poolName, id);
+            if (!drain) {
+                pendingRemovals.delete(key);
+                removalErrors.delete(key);
+                reportedDrained.delete(key);
+                changeServers(poolName, poolServers(liveConfig, poolName).filter(server => server !== existing),
+                    `removed backend ${id} from pool ${poolName}`);
+                return { pool: poolName, id, removed: true };
+            }
+            pendingRemovals.add(key);
+            if (!existing.draining) {
+                changeServers(poolName, poolServers(liveConfig, poolName).map(server => (server === existing ? { ...server, draining: true } : server)),
+                    `draining backend ${id} in pool ${poolName} before removal`);
+            }
+            watchDrains();
+            return { pool: poolName, id, removed: false, draining: true };
+        },
+    };
+
+    // Worker operations of the admin API
+    const workerControl = {
+        list() {
+            return {
+                workers: [...workers.values()].map(worker => ({
+                    pid: worker.process.pid,
+                    id: workerIds.get(worker.process.pid),
+                    state: worker.retiring ? 'draining' : 'running',
+                    uptimeSeconds: Math.round((Date.now() - worker.startedAt) / 1000),
+                })),
+                rollingRestart: rollingRestartRunning,
+            };
+        },
 
+        restart() {
+            if (rollingRestartRunning) throw httpError(409, 'A rolling restart is already running');
+            const count = workers.size;
+            rollingRestart('admin API');
+            return { restarting: true, workers: count };
+        },
+    };
+
+    let adminServer = null;
+    if (config.admin.enabled) {
+        adminServer = startAdminApi(config.admin, backends, workerControl);
+    }
+
+    // --- Dynamic Config Reload ---
+    // Re-reads config.configFile on SIGHUP or when the file changes. The new config is fully
+    // validated first; a bad file is rejected and the current config keeps running. Workers
+    // apply accepted changes in place, so no worker restarts and no request in flight is dropped.
+    function reloadConfig(trigger) {
+        let nextConfig;
+        try {
+            nextConfig = loadLiveConfig(config.configFile, config.liveConfigDefaults, { tcpListeners: config.tcpListeners });
         } catch (err) {
-            console.error("Error reloading configuration:", err);
+            console.error(`Master: Config reload (${trigger}) rejected, keeping current config. ${err.message}`);
+            return;
         }
-    });
-    console.log(`Master: Send 'kill -${config.dynamicConfigReloadSignal} ${process.pid}' to reload config.`);
-    */
+
+        const changes = diffLiveConfig(liveConfig, nextConfig);
+        if (changes.length === 0) {
+            console.log(`Master: Config reload (${trigger}): no changes.`);
+            return;
+        }
+        console.log(`Master: Config reload (${trigger}): ${changes.length} change(s)\n  ${changes.join('\n  ')}`);
+        applyLiveConfig(nextConfig);
+    }
+
+    // Applies an already validated live config to the master and every worker
+    function applyLiveConfig(nextConfig) {
+        liveConfig = nextConfig;
+        Object.assign(config, nextConfig);
+        pools.reconfigure(nextConfig);
+        broadcast({ type: 'updateConfig', config: nextConfig });
+        // New backends start out healthy; make sure workers match the master's view
+        getHealthSnapshot().forEach(update => broadcast(update));
+    }
+
+    // --- Certificate Reload ---
+    // Workers load the certificates themselves; the master only polls the files (including new
+    // or removed ones in the certificate directory) and tells them when something changed.
+    let certificateWatchTimer = null;
+    const certificateSignature = () => certificateFiles(config.tls, config.sslPaths).map((file) => {
+        try {
+            const stat = fs.statSync(file);
+            return `${file}:${stat.mtimeMs}:${stat.size}`;
+        } catch (err) {
+            return `${file}:missing`;
+        }
+    }).join('|');
+
+    if (config.enableHttps) {
+        let lastSignature = certificateSignature();
+        const reloadCertificates = (trigger) => {
+            console.log(`Master: Reloading TLS certificates (${trigger}).`);
+            broadcast({ type: 'reloadCertificates' });
+        };
+        process.on(config.dynamicConfigReloadSignal, () => reloadCertificates(config.dynamicConfigReloadSignal));
+        if (config.tls.watchInterval > 0) {
+            certificateWatchTimer = setInterval(() => {
+                const signature = certificateSignature();
+                if (signature === lastSignature) return;
+                lastSignature = signature;
+                reloadCertificates('files changed');
+            }, config.tls.watchInterval);
+        }
+    }
+
+    if (config.configFile) {
+        process.on(config.dynamicConfigReloadSignal, () => reloadConfig(config.dynamicConfigReloadSignal));
+        // Credentials and JWKS files of access policies aren't part of the config; workers re-read them
+        process.on(config.dynamicConfigReloadSignal, () => broadcast({ type: 'reloadAccessFiles' }));
+        console.log(`Master: Send 'kill -${config.dynamicConfigReloadSignal} ${process.pid}' to reload ${config.configFile}.`);
+
+        if (config.configWatch) {
+            fs.watchFile(config.configFile, { interval: config.configWatchInterval }, (current, previous) => {
+                if (current.mtimeMs !== previous.mtimeMs) reloadConfig('file change');
+            });
+        }
+    }
 
 } else {
     // --- Worker Process ---
     console.log(`Worker ${process.pid} starting... (ID: ${process.env.WORKER_ID})`);
     const workerLogic = require('./worker');
 
-    // Listen for message from master to start metrics server
-    process.on('message', (msg) => {
-        if (msg && msg.type === 'startMetrics') {
-            console.log(`[${process.pid}] Received instruction to start metrics server.`);
-            workerLogic.startMetricsServer();
-        }
-    });
-
     // Start the main HTTP/HTTPS listeners
     workerLogic.startListening();
 }
\ No newline at end of file
@@ -0,0 +1,157 @@
+// metrics.js
+// Minimal labelled counters/histograms. Workers record into a Registry and ship
+// registry.snapshot() to the master, which merges the snapshots of all workers and
+// renders them in the Prometheus text exposition format.
+
+const labelKey = (labelNames, labels) => labelNames.map(name => String(labels[name] ?? '')).join('\u0000');
+
+class Counter {
+    constructor(name, help, labelNames = []) {
+        this.type = 'counter';
+        this.name = name;
+        this.help = help;
+        this.labelNames = labelNames;
+        this.series = new Map(); // labelKey -> { labels, value }
+    }
+
+    inc(labels = {}, value = 1) {
+        const key = labelKey(this.labelNames, labels);
+        let series = this.series.get(key);
+        if (!series) {
+            series = { labels: pickLabels(this.labelNames, labels), value: 0 };
+            this.series.set(key, series);
+        }
+        series.value += value;
+    }
+
+    snapshot() {
+        return { type: this.type, name: this.name, help: this.help, labelNames: this.labelNames, series: [...this.series.values()] };
+    }
+}
+
+class Histogram {
+    constructor(name, help, labelNames = [], buckets = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]) {
+        this.type = 'histogram';
+        this.name = name;
+        this.help = help;
+        this.labelNames = labelNames;
+        this.buckets = [...buckets].sort((a, b) => a - b);
+        this.series = new Map(); // labelKey -> { labels, counts (per bucket, non-cumulative), sum, count }
+    }
+
+    observe(labels = {}, value) {
+        const key = labelKey(this.labelNames, labels);
+        let series = this.series.get(key);
+        if (!series) {
+            series = { labels: pickLabels(this.labelNames, labels), counts: new Array(this.buckets.length).fill(0), sum: 0, count: 0 };
+            this.series.set(key, series);
+        }
+        const index = this.buckets.findIndex(bound => value <= bound);
+        if (index !== -1) series.counts[index]++;
+        series.sum += value;
+        series.count++;
+    }
+
+    snapshot() {
+        return { type: this.type, name: this.name, help: this.help, labelNames: this.labelNames, buckets: this.buckets, series: [...this.series.values()] };
+    }
+}
+
+function pickLabels(labelNames, labels) {
+    return labelNames.reduce((picked, name) => {
+        picked[name] = String(labels[name] ?? '');
+        return picked;
+    }, {});
+}
+
+class Registry {
+    constructor() {
+        this.metrics = [];
+    }
+
+    counter(name, help, labelNames) {
+        const counter = new Counter(name, help, labelNames);
+        this.metrics.push(counter);
+        return counter;
+    }
+
+    histogram(name, help, labelNames, buckets) {
+        const histogram = new Histogram(name, help, labelNames, buckets);
+        this.metrics.push(histogram);
+        return histogram;
+    }
+
+    // Plain objects, safe to send over IPC
+    snapshot() {
+        return this.metrics.map(metric => metric.snapshot());
+    }
+}
+
+// --- Aggregation (master) ---
+// Sums series with identical labels across snapshots from several workers
+function mergeSnapshots(snapshots) {
+    const families = new Map();
+    snapshots.flat().forEach(family => {
+        let merged = families.get(family.name);
+        if (!merged) {
+            merged = { ...family, series: new Map() };
+            families.set(family.name, merged);
+        }
+        family.series.forEach(series => {
+            const key = labelKey(family.labelNames, series.labels);
+            const existing = merged.series.get(key);
+            if (!existing) {
+                merged.series.set(key, family.type === 'histogram'
+                    ? { labels: series.labels, counts: [...series.counts], sum: series.sum, count: series.count }
+                    : { labels: series.labels, value: series.value });
+            } else if (family.type === 'histogram') {
+                series.counts.forEach((count, i) => { existing.counts[i] += count; });
+                existing.sum += series.sum;
+                existing.count += series.count;
+            } else {
+                existing.value += series.value;
+            }
+        });
+    });
+    return [...families.values()].map(family => ({ ...family, series: [...family.series.values()] }));
+}
+
+// --- Prometheus Text Format ---
+const escapeLabelValue = value => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+function formatLabels(labels) {
+    const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabelValue(value)}"`);
+    return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+const formatNumber = value => (Number.isFinite(value) ? String(value) : (value > 0 ? '+Inf' : value < 0 ? '-Inf' : 'NaN'));
+
+// families: [{ type: 'counter' | 'gauge' | 'histogram', name, help, buckets?, series }]
+function renderPrometheus(families) {
+    const lines = [];
+    families.forEach(family => {
+        lines.push(`# HELP ${family.name} ${family.help}`);
+        lines.push(`# TYPE ${family.name} ${family.type}`);
+        family.series.forEach(series => {
+            if (family.type !== 'histogram') {
+                lines.push(`${family.name}${formatLabels(series.labels)} ${formatNumber(series.value)}`);
+                return;
+            }
+            let cumulative = 0;
+            family.buckets.forEach((bound, i) => {
+                cumulative += series.counts[i];
+                lines.push(`${family.name}_bucket${formatLabels({ ...series.labels, le: formatNumber(bound) })} ${cumulative}`);
+            });
+            lines.push(`${family.name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+            lines.push(`${family.name}_sum${formatLabels(series.labels)} ${formatNumber(series.sum)}`);
+            lines.push(`${family.name}_count${formatLabels(series.labels)} ${series.count}`);
+        });
+    });
+    return lines.join('\n') + '\n';
+}
+
+module.exports = {
+    Registry,
+    mergeSnapshots,
+    renderPrometheus,
+};
@@ -0,0 +1,246 @@
+// metricsServer.js
+// Runs in the master. Serves cluster-wide metrics: backend health from the master's
+// pools (the only ones running active checks) combined with the counters every
+// worker reports over IPC.
+const http = require('http');
+const { mergeSnapshots, renderPrometheus } = require('./metrics');
+
+// Merges the master's pool view with per-worker stats into one cluster-wide report
+function aggregateClusterMetrics(pools, workerStats, expectedWorkers) {
+    const poolReports = {};
+    pools.forEach((pool, poolName) => {
+        const poolMetrics = pool.getMetrics();
+        const servers = poolMetrics.servers.map(server => {
+            const perWorker = workerStats.map(stats => ({
+                pid: stats.pid,
+                ...stats.servers.find(s => s.pool === poolName && s.id === server.id),
+            }));
+            return {
+                ...server,
+                activeConnections: perWorker.reduce((sum, w) => sum + (w.activeConnections || 0), 0),
+                activeSockets: perWorker.reduce((sum, w) => sum + (w.activeSockets || 0), 0),
+                // Outlier detection is passive and therefore per worker
+                outlierEjectedOnWorkers: perWorker.filter(w => w.outlier && w.outlier.state !== 'closed').length,
+            };
+        });
+        poolReports[poolName] = { ...poolMetrics, servers };
+    });
+
+    return {
+        masterPid: process.pid,
+        uptimeSeconds: process.uptime(),
+        workers: expectedWorkers,
+        workersReporting: workerStats.length,
+        requestsHandled: workerStats.reduce((sum, stats) => sum + stats.requestsHandled, 0),
+        pools: poolReports,
+        upstreamAgents: sumUpstreamAgents(workerStats),
+        cache: sumCacheStats(workerStats),
+        tcpListeners: sumTcpListeners(workerStats),
+        http2Sessions: workerStats.reduce((sum, stats) => sum + (stats.http2Sessions || 0), 0),
+        perWorker: workerStats.map(stats => ({
+            pid: stats.pid,
+            workerId: stats.workerId,
+            requestsHandled: stats.requestsHandled,
+            uptimeSeconds: stats.uptimeSeconds,
+            memoryUsage: stats.memoryUsage,
+            servers: stats.servers,
+            upstreamAgents: stats.upstreamAgents,
+            cache: stats.cache,
+            tcpListeners: stats.tcpListeners,
+            http2Sessions: stats.http2Sessions,
+        })),
+    };
+}
+
+// backend -> { active, idle, pending } sockets/requests of the workers' keep-alive agents
+function sumUpstreamAgents(workerStats) {
+    const totals = {};
+    workerStats.forEach(stats => (stats.upstreamAgents || []).forEach(({ backend, active, idle, pending }) => {
+        const total = totals[backend] || (totals[backend] = { active: 0, idle: 0, pending: 0 });
+        total.active += active;
+        total.idle += idle;
+        total.pending += pending;
+    }));
+    return totals;
+}
+
+// { entries, size, evictions, statuses: { hit, miss, ... } } of the workers' response caches, null if disabled
+function sumCacheStats(workerStats) {
+    const caches = workerStats.map(stats => stats.cache).filter(Boolean);
+    if (!caches.length) return null;
+    const total = { entries: 0, size: 0, evictions: 0, statuses: {} };
+    caches.forEach((cache) => {
+        total.entries += cache.entries;
+        total.size += cache.size;
+        total.evictions += cache.evictions;
+        Object.entries(cache.statuses).forEach(([status, count]) => {
+            total.statuses[status] = (total.statuses[status] || 0) + count;
+        });
+    });
+    return total;
+}
+
+// port -> { pool, active } open connections of each TCP listener, summed across workers
+function sumTcpListeners(workerStats) {
+    const totals = {};
+    workerStats.forEach(stats => (stats.tcpListeners || []).forEach(({ port, pool, active }) => {
+        const total = totals[port] || (totals[port] = { pool, active: 0 });
+        total.active += active;
+    }));
+    return totals;
+}
+
+// Prometheus exposition of the same data: worker counters/histograms summed across workers,
+// plus gauges and health-check counters from the master's pools
+function renderClusterPrometheus(pools, workerStats) {
+    const backends = []; // { labels: { pool, backend }, server }
+    pools.forEach((pool, poolName) => pool.getMetrics().servers.forEach(server => {
+        backends.push({ labels: { pool: poolName, backend: server.id }, server });
+    }));
+    const key = (poolName, id) => `${poolName}/${id}`;
+    const activeConnections = new Map();
+    const activeSockets = new Map();
+    workerStats.forEach(stats => stats.servers.forEach(server => {
+        const k = key(server.pool, server.id);
+        activeConnections.set(k, (activeConnections.get(k) || 0) + server.activeConnections);
+        activeSockets.set(k, (activeSockets.get(k) || 0) + (server.activeSockets || 0));
+    }));
+
+    const agents = Object.entries(sumUpstreamAgents(workerStats));
+    const cache = sumCacheStats(workerStats);
+    const tcpListeners = Object.entries(sumTcpListeners(workerStats));
+
+    const families = [
+        ...mergeSnapshots(workerStats.map(stats => stats.metrics || [])),
+        {
+            type: 'gauge',
+            name: 'lb_backend_healthy',
+            help: 'Whether the backend passes active health checks (1) or not (0)',
+            series: backends.map(({ labels, server }) => ({ labels, value: server.healthy ? 1 : 0 })),
+        },
+        {
+            type: 'gauge',
+            name: 'lb_backend_active_connections',
+            help: 'In-flight requests and open TCP (layer 4) connections per backend, summed across workers',
+            series: backends.map(({ labels }) => ({ labels, value: activeConnections.get(key(labels.pool, labels.backend)) || 0 })),
+        },
+        {
+            type: 'gauge',
+            name: 'lb_backend_active_websockets',
+            help: 'Open WebSocket tunnels per backend, summed across workers',
+            series: backends.map(({ labels }) => ({ labels, value: activeSockets.get(key(labels.pool, labels.backend)) || 0 })),
+        },
+        {
+            type: 'gauge',
+            name: 'lb_backend_effective_weight',
+            help: 'Weight the backend is currently balanced with, below its configured weight during slow start',
+            series: backends.map(({ labels, server }) => ({ labels, value: server.effectiveWeight })),
+        },
+        {
+            type: 'counter',
+            name: 'lb_health_checks_total',
+            help: 'Active health checks run against each backend, by result',
+            series: backends.flatMap(({ labels, server }) => [
+                { labels: { ...labels, result: 'success' }, value: server.healthChecks.passed },
+                { labels: { ...labels, result: 'failure' }, value: server.healthChecks.failed },
+            ]),
+        },
+        {
+            type: 'gauge',
+            name: 'lb_upstream_sockets',
+            help: 'Sockets to each backend in the keep-alive pools, in use (active) or waiting for a request (idle), summed across workers',
+            series: agents.flatMap(([backend, total]) => [
+                { labels: { backend, state: 'active' }, value: total.active },
+                { labels: { backend, state: 'idle' }, value: total.idle },
+            ]),
+        },
+        {
+            type: 'gauge',
+            name: 'lb_upstream_pending_requests',
+            help: 'Requests waiting for a socket to the backend (maxSockets reached), summed across workers',
+            series: agents.map(([backend, total]) => ({ labels: { backend }, value: total.pending })),
+        },
+        {
+            type: 'gauge',
+            name: 'lb_http2_sessions',
+            help: 'Open HTTP/2 client connections on the HTTPS listener, summed across workers',
+            series: [{ labels: {}, value: workerStats.reduce((sum, stats) => sum + (stats.http2Sessions || 0), 0) }],
+        },
+        ...(tcpListeners.length ? [
+            {
+                type: 'gauge',
+                name: 'lb_tcp_active_connections',
+                help: 'Open connections of each TCP listener, summed across workers',
+                series: tcpListeners.map(([port, total]) => ({ labels: { listener: port, pool: total.pool }, value: total.active })),
+            },
+        ] : []),
+        ...(cache ? [
+            {
+                type: 'gauge',
+                name: 'lb_cache_entries',
+                help: 'Responses in the response cache, summed across workers',
+                series: [{ labels: {}, value: cache.entries }],
+            },
+            {
+                type: 'gauge',
+                name: 'lb_cache_size_bytes',
+                help: 'Memory used by the response cache, summed across workers',
+                series: [{ labels: {}, value: cache.size }],
+            },
+            {
+                type: 'counter',
+                name: 'lb_cache_evictions_total',
+                help: 'URLs evicted from the response cache to stay within its size, summed across workers',
+                series: [{ labels: {}, value: cache.evictions }],
+            },
+        ] : []),
+        {
+            type: 'gauge',
+            name: 'lb_workers',
+            help: 'Workers that reported stats for this scrape',
+            series: [{ labels: {}, value: workerStats.length }],
+        },
+    ];
+    return renderPrometheus(families);
+}
+
+// `getMetrics` / `getPrometheusMetrics` return (a promise of) the JSON object / exposition text
+function startMetricsServer(metricsConfig, getMetrics, getPrometheusMetrics) {
+    const metricsServer = http.createServer(async (req, res) => {
+        if (req.url === metricsConfig.endpoint && req.method === 'GET') {
+            try {
+                const metrics = await getMetrics();
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify(metrics, null, 2));
+            } catch (err) {
+                console.error(`[${process.pid}] Failed to collect metrics:`, err);
+                res.writeHead(500, { 'Content-Type': 'text/plain' });
+                res.end('Failed to collect metrics');
+            }
+        } else if (req.url === metricsConfig.prometheusEndpoint && req.method === 'GET') {
+            try {
+                const text = await getPrometheusMetrics();
+                res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+                res.end(text);
+            } catch (err) {
+                console.error(`[${process.pid}] Failed to collect metrics:`, err);
+                res.writeHead(500, { 'Content-Type': 'text/plain' });
+                res.end('Failed to collect metrics');
+            }
+        } else {
+            res.writeHead(404);
+            res.end('Not Found');
+        }
+    });
+    metricsServer.listen(metricsConfig.port, () => {
+        console.log(`[${process.pid}] Metrics server listening on port ${metricsConfig.port}`);
+    });
+    metricsServer.on('error', (err) => console.error(`[${process.pid}] Metrics Server Error:`, err));
+    return metricsServer;
+}
+
+module.exports = {
+    startMetricsServer,
+    aggregateClusterMetrics,
+    renderClusterPrometheus,
+};
@@ -0,0 +1,207 @@
+// outlierDetector.js
+// Passive health checking: watches the outcome of real proxied requests and ejects backends
+// that misbehave, independently of the active health checks in ServerPool.
+//
+// Per backend circuit breaker:
+//   closed    -> normal traffic, outcomes counted in a sliding window
+//   open      -> ejected, receives no traffic until the ejection expires
+//   half-open -> up to `halfOpenProbes` requests let through; that many successes close the
+//                circuit, any failure ejects again (for longer)
+
+const STATE_CLOSED = 'closed';
+const STATE_OPEN = 'open';
+const STATE_HALF_OPEN = 'half-open';
+const WINDOW_BUCKETS = 10;
+
+class OutlierDetector {
+    constructor(detectionConfig = {}) {
+        this.setConfig(detectionConfig);
+        this.states = new Map(); // serverId -> state
+    }
+
+    // Thresholds can change on a live config reload without losing per-server state
+    setConfig(detectionConfig = {}) {
+        this.config = {
+            windowMs: 30000,
+            minRequests: 20,
+            failureRateThreshold: 0.5,
+            consecutiveFailures: 5,
+            timeoutThreshold: 5,
+            baseEjectionMs: 30000,
+            maxEjectionMs: 300000,
+            halfOpenProbes: 3,
+            maxEjectionPercent: 50,
+            ...detectionConfig,
+        };
+        this.bucketMs = Math.max(1, Math.floor(this.config.windowMs / WINDOW_BUCKETS));
+    }
+
+    _getState(serverId) {
+        let state = this.states.get(serverId);
+        if (!state) {
+            state = {
+                circuit: STATE_CLOSED,
+                buckets: [],              // [{ start, requests, failures, timeouts }], oldest first
+                consecutiveFailures: 0,
+                ejectionCount: 0,
+                ejectedUntil: 0,
+                closedSince: Date.now(),
+                probesInFlight: 0,
+                probeSuccesses: 0,
+            };
+            this.states.set(serverId, state);
+        }
+        return state;
+    }
+
+    // --- Sliding Window ---
+    _currentBucket(state, now) {
+        const start = now - (now % this.bucketMs);
+        const windowStart = now - this.config.windowMs;
+        while (state.buckets.length && state.buckets[0].start <= windowStart) {
+            state.buckets.shift();
+        }
+        let bucket = state.buckets[state.buckets.length - 1];
+        if (!bucket || bucket.start !== start) {
+            bucket = { start, requests: 0, failures: 0, timeouts: 0 };
+            state.buckets.push(bucket);
+        }
+        return bucket;
+    }
+
+    _windowTotals(state) {
+        const windowStart = Date.now() - this.config.windowMs;
+        return state.buckets.reduce((totals, bucket) => {
+            if (bucket.start <= windowStart) return totals;
+            totals.requests += bucket.requests;
+            totals.failures += bucket.failures;
+            totals.timeouts += bucket.timeouts;
+            return totals;
+        }, { requests: 0, failures: 0, timeouts: 0 });
+    }
+
+    // --- Availability ---
+    // Called for every candidate during server selection, so it only compares timestamps.
+    isAvailable(serverId) {
+        const state = this.states.get(serverId);
+        if (!state || state.circuit === STATE_CLOSED) return true;
+
+        if (state.circuit === STATE_OPEN) {
+            if (Date.now() < state.ejectedUntil) return false;
+            state.circuit = STATE_HALF_OPEN;
+            state.probesInFlight = 0;
+            state.probeSuccesses = 0;
+            console.log(`[${process.pid}] Outlier detection: ${serverId} ejection expired, half-open (probing with ${this.config.halfOpenProbes} requests)`);
+        }
+
+        return state.probesInFlight < this.config.halfOpenProbes;
+    }
+
+    // Must be called once a half-open server has actually been chosen for a request.
+    onRequestStart(serverId) {
+        const state = this.states.get(serverId);
+        if (state && state.circuit === STATE_HALF_OPEN) state.probesInFlight++;
+    }
+
+    // --- Outcomes ---
+    // outcome: 'success' | 'failure' | 'timeout' | 'cancelled' (client went away, says nothing about the backend)
+    // `poolSize` is needed to honour maxEjectionPercent.
+    recordOutcome(serverId, outcome, poolSize) {
+        const state = this._getState(serverId);
+        const wasProbe = state.circuit === STATE_HALF_OPEN && state.probesInFlight > 0;
+        if (wasProbe) state.probesInFlight--;
+        if (outcome === 'cancelled') return;
+
+        const failed = outcome === 'failure' || outcome === 'timeout';
+        const bucket = this._currentBucket(state, Date.now());
+        bucket.requests++;
+        if (failed) bucket.failures++;
+        if (outcome === 'timeout') bucket.timeouts++;
+        state.consecutiveFailures = failed ? state.consecutiveFailures + 1 : 0;
+
+        if (state.circuit === STATE_HALF_OPEN) {
+            if (failed) {
+                this._eject(serverId, state, 'probe request failed');
+            } else if (++state.probeSuccesses >= this.config.halfOpenProbes) {
+                state.circuit = STATE_CLOSED;
+                state.closedSince = Date.now();
+                state.buckets = [];
+                console.log(`[${process.pid}] Outlier detection: ${serverId} passed ${state.probeSuccesses} probes, back in rotation`);
+            }
+            return;
+        }
+
+        if (state.circuit === STATE_CLOSED && failed) {
+            const reason = this._ejectionReason(state);
+            if (reason && this._canEject(poolSize)) {
+                this._eject(serverId, state, reason);
+            }
+        }
+    }
+
+    _ejectionReason(state) {
+        const { consecutiveFailures, timeoutThreshold, minRequests, failureRateThreshold } = this.config;
+        if (consecutiveFailures > 0 && state.consecutiveFailures >= consecutiveFailures) {
+            return `${state.consecutiveFailures} consecutive failures`;
+        }
+        const totals = this._windowTotals(state);
+        if (timeoutThreshold > 0 && totals.timeouts >= timeoutThreshold) {
+            return `${totals.timeouts} timeouts in ${this.config.windowMs / 1000}s`;
+        }
+        if (totals.requests >= minRequests && totals.failures / totals.requests >= failureRateThreshold) {
+            return `failure rate ${Math.round(100 * totals.failures / totals.requests)}% over ${totals.requests} requests`;
+        }
+        return null;
+    }
+
+    _canEject(poolSize) {
+        let ejected = 0;
+        this.states.forEach(state => {
+            if (state.circuit !== STATE_CLOSED) ejected++;
+        });
+        return ejected + 1 <= Math.floor(poolSize * this.config.maxEjectionPercent / 100);
+    }
+
+    _eject(serverId, state, reason) {
+        const now = Date.now();
+        // A backend that stayed healthy for a full max ejection period starts over at the base time
+        if (state.circuit === STATE_CLOSED && now - state.closedSince >= this.config.maxEjectionMs) {
+            state.ejectionCount = 0;
+        }
+        state.ejectionCount++;
+        const duration = Math.min(
+            this.config.baseEjectionMs * 2 ** (state.ejectionCount - 1),
+            this.config.maxEjectionMs
+        );
+        state.circuit = STATE_OPEN;
+        state.ejectedUntil = now + duration;
+        state.consecutiveFailures = 0;
+        state.probesInFlight = 0;
+        state.probeSuccesses = 0;
+        console.log(`[${process.pid}] Outlier detection: ejecting ${serverId} for ${duration / 1000}s (${reason}, ejection #${state.ejectionCount})`);
+    }
+
+    // Drop state for servers that are no longer in the pool
+    retain(serverIds) {
+        const keep = new Set(serverIds);
+        [...this.states.keys()].forEach(id => {
+            if (!keep.has(id)) this.states.delete(id);
+        });
+    }
+
+    getServerMetrics(serverId) {
+        const state = this.states.get(serverId);
+        if (!state) return { state: STATE_CLOSED, ejectionCount: 0 };
+        const totals = this._windowTotals(state);
+        return {
+            state: state.circuit,
+            ejectionCount: state.ejectionCount,
+            ejectedUntil: state.circuit === STATE_OPEN ? new Date(state.ejectedUntil).toISOString() : null,
+            windowRequests: totals.requests,
+            windowFailures: totals.failures,
+            windowTimeouts: totals.timeouts,
+        };
+    }
+}
+
+module.exports = OutlierDetector;
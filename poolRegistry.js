@@ -0,0 +1,68 @@
+// poolRegistry.js
+// One ServerPool per named pool of the live config ('default' plus `pools`). Used by the
+// master (active health checks) and by every worker (routing), which differ only in how a
+// pool's settings turn into ServerPool arguments, hence `toPoolArgs`.
+const EventEmitter = require('events');
+const ServerPool = require('./serverPool');
+const { resolvePools } = require('./configFile');
+
+// Re-emits every pool's 'healthChange' as (poolName, server, reason)
+class PoolRegistry extends EventEmitter {
+    // toPoolArgs(settings, live) -> { servers, algorithm, healthCheckConfig, options }
+    constructor(live, toPoolArgs) {
+        super();
+        this.toPoolArgs = toPoolArgs;
+        this.pools = new Map();    // name -> ServerPool
+        this.settings = new Map(); // name -> resolved pool settings (sticky session, consistent hash, ...)
+        this.connectionShare = { index: 0, count: 1 };
+        this.reconfigure(live);
+    }
+
+    get(name) {
+        return this.pools.get(name);
+    }
+
+    getSettings(name) {
+        return this.settings.get(name);
+    }
+
+    forEach(callback) {
+        this.pools.forEach((pool, name) => callback(pool, name));
+    }
+
+    // Existing pools keep the state of unchanged servers; removed pools stop their checks
+    reconfigure(live) {
+        const resolved = resolvePools(live);
+        resolved.forEach((settings, name) => {
+            const args = this.toPoolArgs(settings, live);
+            const existing = this.pools.get(name);
+            if (existing) {
+                existing.reconfigure(args);
+            } else {
+                const pool = new ServerPool(args.servers, args.algorithm, args.healthCheckConfig, args.options);
+                pool.setConnectionShare(this.connectionShare.index, this.connectionShare.count);
+                pool.on('healthChange', (server, reason) => this.emit('healthChange', name, server, reason));
+                this.pools.set(name, pool);
+            }
+        });
+        this.pools.forEach((pool, name) => {
+            if (resolved.has(name)) return;
+            pool.stopHealthChecks();
+            pool.removeAllListeners('healthChange');
+            this.pools.delete(name);
+        });
+        this.settings = resolved;
+    }
+
+    // This worker's share of every backend's maxConnections (see ServerPool.connectionLimit)
+    setConnectionShare(index, count) {
+        this.connectionShare = { index, count };
+        this.pools.forEach(pool => pool.setConnectionShare(index, count));
+    }
+
+    stopHealthChecks() {
+        this.pools.forEach(pool => pool.stopHealthChecks());
+    }
+}
+
+module.exports = PoolRegistry;
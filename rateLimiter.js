@@ -0,0 +1,156 @@
+// rateLimiter.js
+// Cluster-wide rate and concurrency limits. The buckets and counters live in the master
+// (RateLimiter) so a limit holds across all workers; workers ask it over IPC
+// (RateLimitClient) before proxying a request and tell it when the request is done.
+//
+// A policy is { scope, key, rate, burst, maxConcurrent }: `scope` names the rule (global
+// limit or a route), `key` the client within it (IP, header value, or '' for the whole route).
+// Tokens refill at `rate` per second up to `burst`; each request takes one.
+
+const IDLE_SWEEP_INTERVAL = 60000;
+
+// --- Master side ---
+class RateLimiter {
+    constructor() {
+        this.buckets = new Map();    // 'scope|key' -> { tokens, updatedAt }
+        this.active = new Map();     // 'scope|key' -> requests in flight, all workers
+        this.holders = new Map();    // pid -> Map(requestId -> 'scope|key'), which request holds which slot
+        this.lastSweep = Date.now();
+    }
+
+    // Returns { allowed, reason, limit, remaining, resetSeconds, retryAfterSeconds }.
+    // `reason` is 'rate' or 'concurrency' when the request is refused. `requestId` (unique per
+    // worker) identifies the concurrency slot for release().
+    acquire(pid, requestId, policy) {
+        const id = `${policy.scope}|${policy.key}`;
+        const now = Date.now();
+        this._sweep(now);
+        const result = { allowed: true, reason: null, limit: null, remaining: null, resetSeconds: null, retryAfterSeconds: null };
+
+        let bucket = null;
+        if (policy.rate > 0) {
+            bucket = this.buckets.get(id);
+            if (!bucket) {
+                bucket = { tokens: policy.burst, updatedAt: now };
+                this.buckets.set(id, bucket);
+            }
+            // Refill for the time since the last request; a lowered burst caps what's there
+            bucket.tokens = Math.min(policy.burst, bucket.tokens + (now - bucket.updatedAt) / 1000 * policy.rate);
+            bucket.updatedAt = now;
+            result.limit = policy.burst;
+            if (bucket.tokens < 1) {
+                result.allowed = false;
+                result.reason = 'rate';
+                result.retryAfterSeconds = Math.ceil((1 - bucket.tokens) / policy.rate);
+            }
+        }
+
+        if (result.allowed && policy.maxConcurrent > 0 && (this.active.get(id) || 0) >= policy.maxConcurrent) {
+            result.allowed = false;
+            result.reason = 'concurrency';
+            result.retryAfterSeconds = 1;
+        }
+
+        if (result.allowed) {
+            if (bucket) bucket.tokens -= 1;
+            if (policy.maxConcurrent > 0) this._hold(pid, requestId, id);
+        }
+        if (bucket) {
+            result.remaining = Math.floor(bucket.tokens);
+            result.resetSeconds = Math.ceil((policy.burst - bucket.tokens) / policy.rate);
+        }
+        return result;
+    }
+
+    // A request has finished; frees its concurrency slot if it got one
+    release(pid, requestId) {
+        const held = this.holders.get(pid);
+        const id = held && held.get(requestId);
+        if (!id) return; // Refused, or no concurrency limit
+        held.delete(requestId);
+        this._decrement(id);
+    }
+
+    // A worker exited: whatever it held is gone with it
+    releaseWorker(pid) {
+        const held = this.holders.get(pid);
+        if (!held) return;
+        held.forEach(id => this._decrement(id));
+        this.holders.delete(pid);
+    }
+
+    _hold(pid, requestId, id) {
+        this.active.set(id, (this.active.get(id) || 0) + 1);
+        if (!this.holders.has(pid)) this.holders.set(pid, new Map());
+        this.holders.get(pid).set(requestId, id);
+    }
+
+    _decrement(id) {
+        const count = (this.active.get(id) || 1) - 1;
+        if (count > 0) this.active.set(id, count);
+        else this.active.delete(id);
+    }
+
+    // Buckets untouched for a while have refilled completely and can be recreated on demand
+    _sweep(now) {
+        if (now - this.lastSweep < IDLE_SWEEP_INTERVAL) return;
+        this.lastSweep = now;
+        this.buckets.forEach((bucket, id) => {
+            if (now - bucket.updatedAt >= IDLE_SWEEP_INTERVAL) this.buckets.delete(id);
+        });
+    }
+}
+
+// --- Worker side ---
+// Fails open: if the master doesn't answer within `timeoutMs` the request is allowed, so a
+// busy master slows requests down by at most that much and never blocks them. `send(msg)`
+// returns false if it couldn't be sent (the master is gone); such requests are allowed at once.
+class RateLimitClient {
+    constructor(send, timeoutMs) {
+        this.send = send;
+        this.timeoutMs = timeoutMs;
+        this.pending = new Map(); // requestId -> { resolve, timer }
+        this.sequence = 0;
+        this.warnedTimeout = false;
+    }
+
+    // Resolves with the master's verdict plus the `requestId` to pass to release()
+    acquire(policy) {
+        return new Promise((resolve) => {
+            const requestId = ++this.sequence;
+            const timer = setTimeout(() => {
+                this.pending.delete(requestId);
+                if (!this.warnedTimeout) {
+                    this.warnedTimeout = true;
+                    console.warn(`[${process.pid}] Rate limit check timed out after ${this.timeoutMs}ms, allowing request (further timeouts not logged)`);
+                }
+                resolve({ allowed: true, timedOut: true, requestId });
+            }, this.timeoutMs);
+            this.pending.set(requestId, { resolve, timer });
+            if (!this.send({ type: 'limitAcquire', requestId, policy })) {
+                clearTimeout(timer);
+                this.pending.delete(requestId);
+                resolve({ allowed: true, requestId });
+            }
+        });
+    }
+
+    // Safe to call even if acquire() timed out: the master ignores slots it never handed out
+    release(requestId) {
+        this.send({ type: 'limitRelease', requestId }); // If the master is gone, there is nothing left to release
+    }
+
+    // Reply from the master to acquire()
+    onResult(msg) {
+        const pending = this.pending.get(msg.requestId);
+        if (!pending) return; // Arrived after the timeout
+        clearTimeout(pending.timer);
+        this.pending.delete(msg.requestId);
+        pending.resolve({ ...msg.result, requestId: msg.requestId });
+    }
+}
+
+module.exports = {
+    RateLimiter,
+    RateLimitClient,
+};
@@ -0,0 +1,282 @@
+// responseCache.js
+// In-memory HTTP cache of a worker, for GET responses the backends mark cacheable. Freshness
+// follows the response's Cache-Control (s-maxage, max-age, no-cache, no-store, private,
+// must-revalidate, stale-while-revalidate, stale-if-error) or Expires; Vary selects between
+// variants of one URL. Memory is capped by evicting the least recently used URLs.
+//
+// Besides storage it keeps track of the requests in flight per key, so concurrent misses can
+// wait for one backend request instead of each sending their own (see worker.js).
+
+// Statuses cacheable without special knowledge (RFC 9110 section 15.1); anything else isn't stored
+const CACHEABLE_STATUS = new Set([200, 203, 204, 300, 301, 308, 404, 410]);
+// Never stored: about the connection, or recomputed when serving
+const HOP_BY_HOP = ['connection', 'keep-alive', 'proxy-authenticate', 'proxy-authorization', 'te', 'trailer', 'transfer-encoding', 'upgrade', 'age'];
+const CONDITIONAL_HEADERS = ['if-none-match', 'if-modified-since', 'if-match', 'if-unmodified-since', 'if-range'];
+
+// 'public, max-age=60, stale-if-error="300"' -> { public: true, 'max-age': '60', 'stale-if-error': '300' }
+function parseCacheControl(value) {
+    const directives = {};
+    String(value || '').split(',').forEach((part) => {
+        const [name, ...rest] = part.trim().split('=');
+        if (name) directives[name.toLowerCase()] = rest.length ? rest.join('=').replace(/^"|"$/g, '') : true;
+    });
+    return directives;
+}
+
+// Delta-seconds as ms, or null if absent/malformed
+function secondsToMs(value) {
+    const seconds = parseInt(value, 10);
+    return Number.isInteger(seconds) && seconds >= 0 ? seconds * 1000 : null;
+}
+
+// Header names the response varies on, sorted; null for 'Vary: *' (a new variant every time)
+function varyNames(value) {
+    const names = String(value || '').split(',').map(name => name.trim().toLowerCase()).filter(Boolean);
+    if (names.includes('*')) return null;
+    return [...new Set(names)].sort();
+}
+
+// How long a response may be used, or null if it must not be stored.
+// { lifetime, staleWhileRevalidate, staleIfError } are ms; the stale windows count from the
+// end of the lifetime and fall back to the configured defaults.
+function storagePolicy(status, headers, settings, now = Date.now()) {
+    if (!CACHEABLE_STATUS.has(status) || headers['set-cookie']) return null;
+    const directives = parseCacheControl(headers['cache-control']);
+    if (directives['no-store'] || directives.private) return null;
+    const vary = varyNames(headers.vary);
+    if (!vary) return null;
+
+    let lifetime;
+    if (directives['no-cache']) {
+        lifetime = 0; // Stored, but every use must be revalidated
+    } else if (secondsToMs(directives['s-maxage']) !== null) {
+        lifetime = secondsToMs(directives['s-maxage']);
+    } else if (secondsToMs(directives['max-age']) !== null) {
+        lifetime = secondsToMs(directives['max-age']);
+    } else if (headers.expires) {
+        const expires = Date.parse(headers.expires);
+        const date = Date.parse(headers.date);
+        lifetime = Number.isNaN(expires) ? 0 : Math.max(0, expires - (Number.isNaN(date) ? now : date));
+    } else {
+        lifetime = settings.defaultTtl;
+    }
+    // Without a lifetime an entry is only worth keeping if it can be revalidated
+    if (lifetime <= 0 && !headers.etag && !headers['last-modified']) return null;
+
+    const mustRevalidate = Boolean(directives['must-revalidate'] || directives['proxy-revalidate'] || directives['no-cache']);
+    const staleWindow = (directive, fallback) => {
+        if (mustRevalidate) return 0;
+        const fromHeader = secondsToMs(directives[directive]);
+        return fromHeader !== null ? fromHeader : fallback;
+    };
+    return {
+        lifetime,
+        staleWhileRevalidate: staleWindow('stale-while-revalidate', settings.staleWhileRevalidate),
+        staleIfError: staleWindow('stale-if-error', settings.staleIfError),
+        vary,
+    };
+}
+
+// Whether the client's own conditional headers (If-None-Match, else If-Modified-Since) match the entry
+function isNotModified(requestHeaders, entry) {
+    const ifNoneMatch = requestHeaders['if-none-match'];
+    if (ifNoneMatch) {
+        const etag = entry.headers.etag;
+        if (!etag) return false;
+        if (ifNoneMatch.trim() === '*') return true;
+        const opaque = tag => tag.trim().replace(/^W\//, ''); // Weak comparison
+        return ifNoneMatch.split(',').map(opaque).includes(opaque(etag));
+    }
+    const since = Date.parse(requestHeaders['if-modified-since']);
+    const lastModified = Date.parse(entry.headers['last-modified']);
+    return !Number.isNaN(since) && !Number.isNaN(lastModified) && lastModified <= since;
+}
+
+const hasConditionalHeaders = requestHeaders => CONDITIONAL_HEADERS.some(name => requestHeaders[name] !== undefined);
+
+// Headers for revalidating `entry` with the backend: the client's request minus hop-by-hop
+// and conditional headers, plus the entry's validators
+function revalidationHeaders(requestHeaders, entry) {
+    const headers = { ...requestHeaders };
+    [...HOP_BY_HOP, ...CONDITIONAL_HEADERS].forEach(name => delete headers[name]);
+    if (entry.headers.etag) headers['if-none-match'] = entry.headers.etag;
+    if (entry.headers['last-modified']) headers['if-modified-since'] = entry.headers['last-modified'];
+    return headers;
+}
+
+class ResponseCache {
+    // settings: { maxSize, maxEntrySize, defaultTtl, staleWhileRevalidate, staleIfError } (bytes/ms)
+    // ownHeaders: response headers the balancer sets itself, never stored
+    constructor(settings, ownHeaders = []) {
+        this.settings = settings;
+        this.excludedHeaders = new Set([...HOP_BY_HOP, ...ownHeaders.map(name => name.toLowerCase())]);
+        // URL key -> { vary, variants: Map(variant key -> entry), size }, in LRU order (oldest first)
+        this.urls = new Map();
+        this.size = 0;
+        this.evictions = 0;
+        this.inFlight = new Map();    // key -> callbacks of requests waiting for its response
+        this.revalidating = new Set(); // keys with a background revalidation running
+    }
+
+    static variantKey(vary, requestHeaders) {
+        return vary.map(name => `${name}: ${requestHeaders[name] ?? ''}`).join('\n');
+    }
+
+    // The entry matching the request's Vary headers, or null. Marks the URL recently used.
+    get(key, requestHeaders) {
+        const url = this.urls.get(key);
+        if (!url) return null;
+        this.urls.delete(key);
+        this.urls.set(key, url);
+        return url.variants.get(ResponseCache.variantKey(url.vary, requestHeaders)) || null;
+    }
+
+    // 'fresh', 'stale' (past its lifetime but within stale-while-revalidate) or 'expired'
+    state(entry, now = Date.now()) {
+        const age = this.age(entry, now);
+        if (age < entry.lifetime) return 'fresh';
+        if (age < entry.lifetime + entry.staleWhileRevalidate) return 'stale';
+        return 'expired';
+    }
+
+    // Whether stale-if-error still allows serving the entry when the backends fail
+    usableOnError(entry, now = Date.now()) {
+        return this.age(entry, now) < entry.lifetime + entry.staleIfError;
+    }
+
+    // ms, the Age the backend reported included
+    age(entry, now = Date.now()) {
+        return entry.initialAge + Math.max(0, now - entry.storedAt);
+    }
+
+    // Storable per the status and headers (the body isn't needed to decide)
+    isStorable(status, headers) {
+        return storagePolicy(status, headers, this.settings) !== null;
+    }
+
+    // Stores a complete response; returns the entry, or null if it isn't cacheable or too large
+    store(key, requestHeaders, status, headers, body, now = Date.now()) {
+        const policy = storagePolicy(status, headers, this.settings, now);
+        if (!policy || body.length > this.settings.maxEntrySize) return null;
+        const storedHeaders = {};
+        Object.entries(headers).forEach(([name, value]) => {
+            if (!this.excludedHeaders.has(name)) storedHeaders[name] = value;
+        });
+        const entry = {
+            status,
+            headers: storedHeaders,
+            body,
+            storedAt: now,
+            initialAge: secondsToMs(headers.age) || 0,
+            lifetime: policy.lifetime,
+            staleWhileRevalidate: policy.staleWhileRevalidate,
+            staleIfError: policy.staleIfError,
+            size: body.length + JSON.stringify(storedHeaders).length,
+        };
+
+        let url = this.urls.get(key);
+        if (url && url.vary.join() !== policy.vary.join()) {
+            this.delete(key); // The backend changed what it varies on; old variants can't be matched
+            url = null;
+        }
+        if (!url) url = { vary: policy.vary, variants: new Map(), size: 0 };
+        this.urls.delete(key);
+        this.urls.set(key, url);
+
+        const variantKey = ResponseCache.variantKey(policy.vary, requestHeaders);
+        const previous = url.variants.get(variantKey);
+        if (previous) {
+            url.size -= previous.size;
+            this.size -= previous.size;
+        }
+        url.variants.set(variantKey, entry);
+        url.size += entry.size;
+        this.size += entry.size;
+        this._evict();
+        return entry;
+    }
+
+    // Applies a 304 from the backend: new headers and a new lifetime for the same body.
+    // Returns the updated entry (still fine to serve once even if it may no longer be stored).
+    refresh(key, requestHeaders, entry, headers, now = Date.now()) {
+        const merged = { ...entry.headers };
+        Object.entries(headers).forEach(([name, value]) => {
+            if (!this.excludedHeaders.has(name) && name !== 'content-length') merged[name] = value;
+        });
+        return this.store(key, requestHeaders, entry.status, merged, entry.body, now) || { ...entry, headers: merged };
+    }
+
+    delete(key) {
+        const url = this.urls.get(key);
+        if (!url) return;
+        this.size -= url.size;
+        this.urls.delete(key);
+    }
+
+    // Drops whole URLs, least recently used first, until the cache fits in maxSize
+    _evict() {
+        for (const [key] of this.urls) {
+            if (this.size <= this.settings.maxSize) break;
+            this.delete(key);
+            this.evictions++;
+        }
+    }
+
+    // --- Request Collapsing ---
+    // The first request for a key leads (goes to the backend); the others follow and are
+    // called back when the leader is done, or after `timeout` ms at the latest.
+    lead(key) {
+        if (this.inFlight.has(key)) return false;
+        this.inFlight.set(key, []);
+        return true;
+    }
+
+    follow(key, timeout, callback) {
+        const waiters = this.inFlight.get(key);
+        let called = false;
+        const once = () => {
+            if (called) return;
+            called = true;
+            clearTimeout(timer);
+            callback();
+        };
+        const timer = setTimeout(() => {
+            const index = waiters.indexOf(once);
+            if (index !== -1) waiters.splice(index, 1);
+            once();
+        }, timeout);
+        waiters.push(once);
+    }
+
+    settle(key) {
+        const waiters = this.inFlight.get(key) || [];
+        this.inFlight.delete(key);
+        waiters.forEach(callback => callback());
+    }
+
+    // One background revalidation per key at a time
+    startRevalidation(key) {
+        if (this.revalidating.has(key)) return false;
+        this.revalidating.add(key);
+        return true;
+    }
+
+    endRevalidation(key) {
+        this.revalidating.delete(key);
+    }
+
+    stats() {
+        let entries = 0;
+        this.urls.forEach((url) => {
+            entries += url.variants.size;
+        });
+        return { entries, size: this.size, evictions: this.evictions };
+    }
+}
+
+module.exports = {
+    ResponseCache,
+    isNotModified,
+    hasConditionalHeaders,
+    revalidationHeaders,
+};
@@ -0,0 +1,58 @@
+// retryBudget.js
+// Caps retries relative to normal traffic so that retrying during an outage cannot multiply
+// the load on the backends that are still up. Over a sliding window, retries are allowed while
+// they stay below `ratio` of the requests seen, with a floor of `minPerSecond` so a quiet
+// worker can still retry the odd failure. Kept per worker, like the outlier detector.
+
+const WINDOW_BUCKETS = 10;
+
+class RetryBudget {
+    constructor(budgetConfig = {}) {
+        this.config = {
+            ratio: 0.2,
+            minPerSecond: 5,
+            windowMs: 10000,
+            ...budgetConfig,
+        };
+        this.bucketMs = Math.max(1, Math.floor(this.config.windowMs / WINDOW_BUCKETS));
+        this.buckets = []; // [{ start, requests, retries }], oldest first
+    }
+
+    _currentBucket(now) {
+        const start = now - (now % this.bucketMs);
+        const windowStart = now - this.config.windowMs;
+        while (this.buckets.length && this.buckets[0].start <= windowStart) {
+            this.buckets.shift();
+        }
+        let bucket = this.buckets[this.buckets.length - 1];
+        if (!bucket || bucket.start !== start) {
+            bucket = { start, requests: 0, retries: 0 };
+            this.buckets.push(bucket);
+        }
+        return bucket;
+    }
+
+    // Every client request (not every attempt) counts towards the budget
+    onRequest() {
+        this._currentBucket(Date.now()).requests++;
+    }
+
+    // Withdraws one retry if the budget allows it
+    tryAcquire() {
+        const bucket = this._currentBucket(Date.now());
+        const totals = this.buckets.reduce((sum, b) => {
+            sum.requests += b.requests;
+            sum.retries += b.retries;
+            return sum;
+        }, { requests: 0, retries: 0 });
+        const allowed = Math.max(
+            this.config.ratio * totals.requests,
+            this.config.minPerSecond * this.config.windowMs / 1000
+        );
+        if (totals.retries + 1 > allowed) return false;
+        bucket.retries++;
+        return true;
+    }
+}
+
+module.exports = RetryBudget;
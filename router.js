@@ -0,0 +1,242 @@
+// router.js
+// Ordered routing rules that send a request to one of the named backend pools. The first
+// rule whose conditions all match wins; requests matching no rule go to the default pool.
+// Rules see the canonical path (see canonicalPath), which is also what the backend gets.
+//
+//   - match:
+//       host: '*.example.com'       # exact or wildcard (any subdomain), string or list
+//       pathPrefix: /api            # matches /api, /API, /api/... but not /apix
+//       pathRegex: '^/v[0-9]+/'
+//       methods: [GET, POST]
+//       headers: { X-Canary: 'true' } # exact value, '*' = present
+//       query: { version: '2' }       # same for query parameters
+//     pool: api
+//     stripPrefix: true             # /api/users -> /users
+//     rewrite: { pattern: '^/old/(.*)', replacement: '/new/$1' } # applied to the path after stripping
+//     rateLimit: { rate: 5, burst: 10 } # overrides the global rate limit, `false` exempts the route
+//     accessLogSampleRate: 0.1      # log 10% of this route's requests (errors are always logged)
+//     cache: false                  # never answer this route from the response cache
+//     hostHeader: backend           # Host sent to the backend: preserve, backend or a fixed host
+//     headers: { response: { set: { Cache-Control: no-store } } } # after the global header rules
+//     access: { allow: [private], basicAuth: { credentialsFile: admin.passwd } } # see accessPolicy.js
+
+const { compileHeaderRules, checkHostPolicy } = require('./headerRules');
+const { AccessPolicy } = require('./accessPolicy');
+
+const MATCH_KEYS = ['host', 'pathPrefix', 'pathRegex', 'methods', 'headers', 'query'];
+
+const toList = value => (Array.isArray(value) ? value : [value]);
+
+// Host header without the port, lower-cased ('[::1]:8080' -> '[::1]')
+function requestHost(req) {
+    const host = (req.headers.host || req.headers[':authority'] || '').toLowerCase();
+    if (host.startsWith('[')) return host.slice(0, host.indexOf(']') + 1);
+    const colon = host.indexOf(':');
+    return colon === -1 ? host : host.slice(0, colon);
+}
+
+function hostMatcher(pattern) {
+    pattern = pattern.toLowerCase();
+    if (pattern.startsWith('*.')) {
+        const suffix = pattern.slice(1); // '.example.com'
+        return host => host.endsWith(suffix) && host.length > suffix.length;
+    }
+    return host => host === pattern;
+}
+
+// { name: 'value' | '*' } -> predicate over a lookup function
+function valueMatchers(spec, what) {
+    if (spec === null || typeof spec !== 'object' || Array.isArray(spec)) {
+        throw new Error(`${what} must be an object of name: value`);
+    }
+    return Object.entries(spec).map(([name, expected]) => {
+        if (typeof expected !== 'string') throw new Error(`${what}.${name} must be a string`);
+        return lookup => {
+            const actual = lookup(name);
+            if (actual === undefined || actual === null) return false;
+            return expected === '*' || toList(actual).includes(expected);
+        };
+    });
+}
+
+// Case-insensitive, as some backends (and file systems) treat /Admin as /admin
+function pathPrefixMatcher(prefix) {
+    prefix = prefix.toLowerCase();
+    if (prefix.endsWith('/')) return path => path.toLowerCase().startsWith(prefix);
+    return (path) => {
+        path = path.toLowerCase();
+        return path === prefix || path.startsWith(`${prefix}/`);
+    };
+}
+
+// The path as a backend would resolve it, so '//admin', '/./admin', '/%61dmin' and
+// '/x/../admin' can't slip past a rule for '/admin': escaped unreserved characters are
+// decoded (other escapes upper-cased), repeated '/' collapsed and '.' and '..' segments
+// resolved. null for paths that can't be made unambiguous (not starting with '/',
+// backslashes, escaped '/' or '\', malformed escapes); those are refused.
+function canonicalPath(rawPath) {
+    if (rawPath === '*') return rawPath; // OPTIONS *
+    if (!rawPath.startsWith('/') || rawPath.includes('\\')) return null;
+    let ambiguous = false;
+    const path = rawPath.replace(/%([0-9A-Fa-f]{2})?/g, (escape, hex) => {
+        if (!hex) {
+            ambiguous = true;
+            return escape;
+        }
+        const char = String.fromCharCode(parseInt(hex, 16));
+        if (/[A-Za-z0-9._~-]/.test(char)) return char;
+        if (char === '/' || char === '\\') ambiguous = true;
+        return `%${hex.toUpperCase()}`;
+    });
+    if (ambiguous) return null;
+
+    const parts = path.split('/');
+    const segments = [];
+    parts.forEach((part) => {
+        if (part === '..') segments.pop();
+        else if (part !== '' && part !== '.') segments.push(part);
+    });
+    const last = parts[parts.length - 1];
+    const trailingSlash = segments.length > 0 && (last === '' || last === '.' || last === '..');
+    return `/${segments.join('/')}${trailingSlash ? '/' : ''}`;
+}
+
+// Turns a rule from the config into { id, name, pool, rateLimit, accessLogSampleRate, cache, hostHeader,
+// headers (compiled rules), access (AccessPolicy or null), matches(req, path, query), rewritePath(path) }.
+// `id` (the name, or routes[index]) scopes the route's rate limit buckets.
+// Throws on anything malformed, so config validation can reuse it.
+function compileRoute(route, index = 0) {
+    if (route === null || typeof route !== 'object' || Array.isArray(route)) throw new Error('must be an object');
+    if (typeof route.pool !== 'string' || !route.pool) throw new Error('pool must be a non-empty string');
+    const match = route.match || {};
+    if (typeof match !== 'object' || Array.isArray(match)) throw new Error('match must be an object');
+    const unknownKeys = Object.keys(match).filter(key => !MATCH_KEYS.includes(key));
+    if (unknownKeys.length) throw new Error(`unsupported match keys ${unknownKeys.join(', ')} (allowed: ${MATCH_KEYS.join(', ')})`);
+
+    const conditions = [];
+    if (match.host !== undefined) {
+        const hosts = toList(match.host);
+        if (!hosts.length || hosts.some(host => typeof host !== 'string' || !host)) throw new Error('match.host must be a string or a list of strings');
+        const matchers = hosts.map(hostMatcher);
+        conditions.push(req => {
+            const host = requestHost(req);
+            return matchers.some(matcher => matcher(host));
+        });
+    }
+    if (match.pathPrefix !== undefined) {
+        if (typeof match.pathPrefix !== 'string' || !match.pathPrefix.startsWith('/')) throw new Error("match.pathPrefix must start with '/'");
+        const matcher = pathPrefixMatcher(match.pathPrefix);
+        conditions.push((req, path) => matcher(path));
+    }
+    if (match.pathRegex !== undefined) {
+        if (typeof match.pathRegex !== 'string') throw new Error('match.pathRegex must be a string');
+        const regex = new RegExp(match.pathRegex);
+        conditions.push((req, path) => regex.test(path));
+    }
+    if (match.methods !== undefined) {
+        const methods = toList(match.methods);
+        if (!methods.length || methods.some(method => typeof method !== 'string')) throw new Error('match.methods must be a string or a list of strings');
+        const allowed = new Set(methods.map(method => method.toUpperCase()));
+        conditions.push(req => allowed.has(req.method));
+    }
+    if (match.headers !== undefined) {
+        const matchers = valueMatchers(match.headers, 'match.headers');
+        conditions.push(req => matchers.every(matcher => matcher(name => req.headers[name.toLowerCase()])));
+    }
+    if (match.query !== undefined) {
+        const matchers = valueMatchers(match.query, 'match.query');
+        conditions.push((req, path, query) => matchers.every(matcher => matcher(name => {
+            const values = query.getAll(name);
+            return values.length ? values : undefined;
+        })));
+    }
+
+    const rewrites = [];
+    if (route.stripPrefix !== undefined) {
+        if (typeof route.stripPrefix !== 'boolean') throw new Error('stripPrefix must be a boolean');
+        if (route.stripPrefix && match.pathPrefix === undefined) throw new Error('stripPrefix needs match.pathPrefix');
+        if (route.stripPrefix) {
+            const prefix = match.pathPrefix.replace(/\/$/, '');
+            rewrites.push(path => {
+                const rest = path.slice(prefix.length);
+                return rest.startsWith('/') ? rest : `/${rest}`;
+            });
+        }
+    }
+    if (route.rewrite !== undefined) {
+        const { pattern, replacement } = route.rewrite || {};
+        if (typeof pattern !== 'string' || typeof replacement !== 'string') throw new Error('rewrite needs a pattern and a replacement string');
+        const regex = new RegExp(pattern);
+        rewrites.push(path => path.replace(regex, replacement));
+    }
+
+    if (route.rateLimit !== undefined && route.rateLimit !== false
+        && (route.rateLimit === null || typeof route.rateLimit !== 'object' || Array.isArray(route.rateLimit))) {
+        throw new Error('rateLimit must be an object or false');
+    }
+
+    if (route.accessLogSampleRate !== undefined
+        && !(typeof route.accessLogSampleRate === 'number' && route.accessLogSampleRate >= 0 && route.accessLogSampleRate <= 1)) {
+        throw new Error('accessLogSampleRate must be a number between 0 and 1');
+    }
+    if (route.cache !== undefined && typeof route.cache !== 'boolean') throw new Error('cache must be a boolean');
+    if (route.hostHeader !== undefined) checkHostPolicy(route.hostHeader);
+    const headers = compileHeaderRules(route.headers);
+    const access = route.access === undefined ? null : new AccessPolicy(route.access);
+
+    return {
+        id: route.name || `routes[${index}]`,
+        name: route.name || route.pool,
+        pool: route.pool,
+        rateLimit: route.rateLimit,
+        accessLogSampleRate: route.accessLogSampleRate,
+        cache: route.cache !== false,
+        hostHeader: route.hostHeader,
+        headers,
+        access,
+        matches: (req, path, query) => conditions.every(condition => condition(req, path, query)),
+        rewritePath: path => rewrites.reduce((current, rewrite) => rewrite(current), path),
+    };
+}
+
+class Router {
+    constructor(routes = [], defaultPool = 'default') {
+        this.routes = routes.map((route, index) => compileRoute(route, index));
+        this.defaultPool = defaultPool;
+    }
+
+    // Returns { pool, route, url } where url is req.url with the canonical path, after any
+    // rewrite of the matched rule; null if the path has no canonical form
+    route(req) {
+        const queryStart = req.url.indexOf('?');
+        const path = canonicalPath(queryStart === -1 ? req.url : req.url.slice(0, queryStart));
+        if (path === null) return null;
+        const search = queryStart === -1 ? '' : req.url.slice(queryStart);
+        const query = new URLSearchParams(search);
+
+        const route = this.routes.find(candidate => candidate.matches(req, path, query));
+        if (!route) return { pool: this.defaultPool, route: null, url: path + search };
+        return { pool: route.pool, route, url: route.rewritePath(path) + search };
+    }
+
+    // Re-reads the credentials and JWKS files of every access policy; a bad file keeps the
+    // policy's current ones. Returns the errors.
+    reloadAccessFiles() {
+        const errors = [];
+        this.routes.filter(route => route.access).forEach((route) => {
+            try {
+                route.access.reload();
+            } catch (err) {
+                errors.push(`${route.id}: ${err.message}`);
+            }
+        });
+        return errors;
+    }
+}
+
+module.exports = {
+    Router,
+    compileRoute,
+    canonicalPath,
+    requestHost,
+};
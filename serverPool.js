@@ -1,67 +1,73 @@
 // serverPool.js
-const http = require('http');
-const https = require('https'); // Needed if health checking HTTPS backends (less common)
-
-class ServerPool {
-    constructor(servers = [], algorithm = 'ROUND_ROBIN', healthCheckConfig = {}) {
+const EventEmitter = require('events');
+const HashRing = require('./hashRing');
+const OutlierDetector = require('./outlierDetector');
+const { createHealthProbe } = require('./healthProbe');
+
+// Emits 'healthChange' (server, reason) whenever its own checks (or a reported proxy error)
+// flip a server's health. States applied through setServerHealth() don't emit.
+class ServerPool extends EventEmitter {
+    constructor(servers = [], algorithm = 'ROUND_ROBIN', healthCheckConfig = {}, options = {}) {
+        super();
         // Internal structure: Add unique ID and potentially active connection count
         this.servers = servers.map((s, index) => ({
             ...s,
             id: `${s.host}:${s.port}`, // Unique ID for sticky sessions/tracking
             healthy: true,
             weight: s.weight ?? 1,     // Default weight
-            currentWeight: 0,         // For WRR algorithm
-            activeConnections: 0,     // Basic counter for 'Least Connections' (if implemented)
+            currentWeight: 0,         // Smooth WRR running score
+            activeConnections: 0,     // In-flight requests, used by the least-connections algorithms
+            activeSockets: 0,         // Open WebSocket/Upgrade tunnels, long-lived so counted separately
+            slowStartSince: null,     // Set when the server (re)joins, see slowStartFactor()
+            consecutiveCheckSuccesses: 0, // Active health check streaks, for rise/fall
+            consecutiveCheckFailures: 0,
+            healthChecksPassed: 0,     // Lifetime totals, exported as metrics
+            healthChecksFailed: 0,
         }));
         this.algorithm = algorithm;
         this.healthCheckConfig = healthCheckConfig;
         this.healthCheckIntervalId = null;
+        this.probe = createHealthProbe(healthCheckConfig);
         this.currentIndex = -1; // For Round Robin
+        this.options = options;
+        this.connectionShare = { index: 0, count: 1 }; // This worker's slot, see connectionLimit()
 
-        // --- Precompute for Weighted algorithms ---
-        this.gcdWeight = 0;
-        this.maxWeight = 0;
-        this.weightedServerList = []; // For simpler weighted random/RR
-        this.totalWeight = 0;
-
-        if (this.algorithm.includes('WEIGHTED')) {
-            this.calculateWeights();
-            this.buildWeightedList();
+        // --- Consistent Hashing ---
+        this.hashRing = null;
+        if (this.algorithm === 'CONSISTENT_HASH') {
+            this.hashRing = new HashRing(this.servers, options.virtualNodesPerWeight);
         }
-        // --- End Weighted Precompute ---
+
+        // --- Passive Health (Outlier Detection) ---
+        this.outlierDetector = options.outlierDetection?.enabled
+            ? new OutlierDetector(options.outlierDetection)
+            : null;
 
         if (this.healthCheckConfig.enabled) {
             this.startHealthChecks();
         }
     }
 
-    // --- Weight Calculation Helpers ---
-    _gcd(a, b) {
-        return b === 0 ? a : this._gcd(b, a % b);
+    getHealthyServers() {
+        return this.servers.filter(server => server.healthy);
     }
 
-    calculateWeights() {
-        const healthyServers = this.getHealthyServers();
-        if (!healthyServers.length) return;
-
-        this.gcdWeight = healthyServers.reduce((acc, server) => this._gcd(acc, server.weight), healthyServers[0].weight);
-        this.maxWeight = Math.max(...healthyServers.map(s => s.weight));
-        this.totalWeight = healthyServers.reduce((sum, server) => sum + server.weight, 0);
+    // Healthy per the active checks *and* not ejected by outlier detection, unless an
+    // operator overrode it: `draining` and `force: 'down'` take a server out of rotation
+    // (sticky requests included), `force: 'up'` keeps it in regardless of health.
+    isAvailable(server) {
+        if (server.draining || server.force === 'down') return false;
+        if (server.force === 'up') return true;
+        return server.healthy && (!this.outlierDetector || this.outlierDetector.isAvailable(server.id));
     }
 
-    buildWeightedList() {
-         this.weightedServerList = [];
-         this.servers.forEach(server => {
-             // Add server to the list 'weight' times
-             for (let i = 0; i < server.weight; i++) {
-                 this.weightedServerList.push(server);
-             }
-         });
+    getAvailableServers() {
+        return this.servers.filter(server => this.isAvailable(server));
     }
-    // --- End Weight Helpers ---
 
-    getHealthyServers() {
-        return this.servers.filter(server => server.healthy);
+    // Available, below its connection limit and not in `excludeIds`
+    isSelectable(server, excludeIds = null) {
+        return this.isAvailable(server) && this.hasCapacity(server) && !(excludeIds && excludeIds.has(server.id));
     }
 
     getServerById(id) {
@@ -69,85 +75,82 @@ class ServerPool {
     }
 
     // --- Enhanced getNextServer ---
-    getNextServer(stickySessionId = null) {
-        let healthyServers = this.getHealthyServers();
+    // Picks a server for a request and counts it in activeConnections.
+    // `hashKey` is only used by CONSISTENT_HASH (client IP, header, cookie or path, chosen
+    // by the worker). Without a key the request falls back to round robin.
+    // `excludeIds` (a Set) skips servers a retried request has already tried.
+    getNextServer(stickySessionId = null, hashKey = null, excludeIds = null) {
+        const chosenServer = this.selectServer(stickySessionId, hashKey, excludeIds);
+        if (chosenServer) {
+            this.incrementConnections(chosenServer.id);
+        }
+        return chosenServer;
+    }
+
+    // Same choice as getNextServer() without touching any counter; callers that track
+    // something other than requests (e.g. WebSocket tunnels) do their own accounting.
+    // Servers at their connection limit are skipped like unavailable ones.
+    // Servers in slow start get a reduced share with every algorithm (sticky requests excepted).
+    selectServer(stickySessionId = null, hashKey = null, excludeIds = null) {
+        const isEligible = server => this.isSelectable(server, excludeIds);
+        const healthyServers = this.servers.filter(isEligible);
         if (healthyServers.length === 0) {
             return null;
         }
+        const now = Date.now();
 
         // 1. Handle Sticky Session
         if (stickySessionId) {
             const targetServer = healthyServers.find(s => s.id === stickySessionId);
             if (targetServer) {
-                // console.log(`Sticky session: Routing to ${targetServer.id}`);
-                this.incrementConnections(targetServer.id);
                 return targetServer;
             }
-            // If sticky server is unhealthy or not found, fall through to algorithm
-            // console.log(`Sticky session server ${stickySessionId} not available/healthy.`);
+            // Sticky server unavailable or gone: fall through to the algorithm. Whether that is
+            // acceptable is the caller's failover policy (see worker.js).
         }
 
         // 2. Apply Load Balancing Algorithm
         let chosenServer = null;
 
-        // Re-filter weighted list based on current health
-        const healthyWeightedList = this.weightedServerList.filter(ws => ws.healthy);
-        if(this.algorithm.includes('WEIGHTED') && healthyWeightedList.length === 0) {
-            // Fallback if weighted list becomes empty but healthyServers is not (shouldn't happen often)
-             healthyServers = this.getHealthyServers(); // Refresh just in case
-             if (healthyServers.length === 0) return null;
-             this.algorithm = 'ROUND_ROBIN'; // Temporarily fallback
-             console.warn("Weighted list empty despite healthy servers, falling back to ROUND_ROBIN temporarily.");
-        }
-
-
         switch (this.algorithm) {
             case 'RANDOM':
-                const randomIndex = Math.floor(Math.random() * healthyServers.length);
-                chosenServer = healthyServers[randomIndex];
+                // Every server weighs the same (1), apart from the slow start ramp
+                chosenServer = this.selectWeightedRandom(healthyServers, server => this.slowStartFactor(server, now));
+                break;
+
+            case 'WEIGHTED_RANDOM':
+                chosenServer = this.selectWeightedRandom(healthyServers, server => this.effectiveWeight(server, now));
+                break;
+
+            case 'WEIGHTED_ROUND_ROBIN':
+                chosenServer = this.selectSmoothWeighted(healthyServers, now);
                 break;
 
-            case 'WEIGHTED_RANDOM': // Simple Weighted Random using expanded list
-                 if (healthyWeightedList.length > 0) {
-                     const randomWeightedIndex = Math.floor(Math.random() * healthyWeightedList.length);
-                     chosenServer = healthyWeightedList[randomWeightedIndex];
-                 }
-                 break;
-
-
-            case 'WEIGHTED_ROUND_ROBIN': // Simple WRR using expanded list
-                 if (healthyWeightedList.length > 0) {
-                     this.currentIndex = (this.currentIndex + 1) % healthyWeightedList.length;
-                     chosenServer = healthyWeightedList[this.currentIndex];
-                 }
-                 break;
-
-            // --- More complex WRR (GCD based - potentially more efficient for large weights) ---
-            /*
-            case 'WEIGHTED_ROUND_ROBIN_GCD':
-                // Requires re-calculating weights if health changes significantly
-                while (true) {
-                     this.currentIndex = (this.currentIndex + 1) % healthyServers.length;
-                     if (this.currentIndex === 0) {
-                         this.currentWeight = this.currentWeight - this.gcdWeight;
-                         if (this.currentWeight <= 0) {
-                             this.currentWeight = this.maxWeight;
-                             if (this.currentWeight === 0) // All weights are 0?
-                                 return null;
-                         }
-                     }
-                     if (healthyServers[this.currentIndex].weight >= this.currentWeight) {
-                         chosenServer = healthyServers[this.currentIndex];
-                         break;
-                     }
-                 }
-                 break;
-            */
+            case 'CONSISTENT_HASH':
+                if (hashKey !== null && hashKey !== undefined && hashKey !== '') {
+                    chosenServer = this.hashRing.getServer(hashKey, isEligible);
+                    // A ramping server only takes a growing share of its keys; the decision is
+                    // per key, so a key moves to it once instead of flapping between two servers
+                    if (chosenServer && HashRing.hash(`slow-start:${hashKey}`) / 0x100000000 >= this.slowStartFactor(chosenServer, now)) {
+                        const ramping = chosenServer;
+                        chosenServer = this.hashRing.getServer(hashKey, server => server !== ramping && isEligible(server)) || ramping;
+                    }
+                } else {
+                    chosenServer = this.selectRoundRobin(healthyServers, now);
+                }
+                break;
+
+            case 'LEAST_CONNECTIONS':
+                chosenServer = this.selectLeastConnections(healthyServers, false, now);
+                break;
+
+            case 'WEIGHTED_LEAST_CONNECTIONS':
+                chosenServer = this.selectLeastConnections(healthyServers, true, now);
+                break;
 
             case 'ROUND_ROBIN':
             default:
-                this.currentIndex = (this.currentIndex + 1) % healthyServers.length;
-                chosenServer = healthyServers[this.currentIndex];
+                chosenServer = this.selectRoundRobin(healthyServers, now);
                 break;
         }
 
@@ -157,17 +160,141 @@ class ServerPool {
             chosenServer = healthyServers[0]; // Fallback
         }
 
-        if (chosenServer) {
-            this.incrementConnections(chosenServer.id);
+        return chosenServer;
+    }
+
+    // --- Per-backend Connection Limits ---
+    // `maxConnections` on a server caps its in-flight requests across the cluster. Each worker
+    // only sees its own activeConnections, so the cap is split between the workers by the slot
+    // the master gives each of them: a cap of 10 over 3 workers allows 4, 3 and 3.
+    setConnectionShare(index, count) {
+        this.connectionShare = { index, count };
+    }
+
+    connectionLimit(server) {
+        if (!server.maxConnections) return Infinity;
+        const { index, count } = this.connectionShare;
+        return Math.floor(server.maxConnections / count) + (index < server.maxConnections % count ? 1 : 0);
+    }
+
+    hasCapacity(server) {
+        return server.activeConnections < this.connectionLimit(server);
+    }
+
+    // --- Slow Start ---
+    // For `slowStart.window` ms after a server recovers (or is added) its weight ramps up
+    // linearly from `initialWeightPercent` to 100%. Weighted algorithms use the reduced weight;
+    // the unweighted ones treat every server as weight 1 and scale that.
+    startSlowStart(server) {
+        server.slowStartSince = this.options.slowStart?.window > 0 ? Date.now() : null;
+    }
+
+    // 1 outside the window
+    slowStartFactor(server, now = Date.now()) {
+        if (server.slowStartSince === null) return 1;
+        const { window, initialWeightPercent } = this.options.slowStart || {};
+        const progress = window > 0 ? (now - server.slowStartSince) / window : 1;
+        if (progress >= 1) {
+            server.slowStartSince = null;
+            return 1;
         }
+        const initial = initialWeightPercent / 100;
+        return initial + (1 - initial) * progress;
+    }
 
-        return chosenServer;
+    effectiveWeight(server, now = Date.now()) {
+        return server.weight * this.slowStartFactor(server, now);
     }
 
-    // --- Connection Tracking (Basic) ---
+    // --- Round Robin ---
+    // A ramping server's turn is taken with probability equal to its slow start factor,
+    // otherwise the next server gets it.
+    selectRoundRobin(healthyServers, now) {
+        for (let step = 0; step < healthyServers.length; step++) {
+            this.currentIndex = (this.currentIndex + 1) % healthyServers.length;
+            const server = healthyServers[this.currentIndex];
+            const factor = this.slowStartFactor(server, now);
+            if (factor >= 1 || Math.random() < factor) return server;
+        }
+        return healthyServers[this.currentIndex]; // Everyone is ramping and skipped their turn
+    }
+
+    // --- Smooth Weighted Round Robin (nginx style) ---
+    // Every pick adds each server's weight to its currentWeight, takes the server with the
+    // highest currentWeight and subtracts the total weight from it. Weights 5:1:1 yield
+    // a a b a c a a rather than a burst of five a's, in O(servers) per pick whatever the weights.
+    // Only healthy servers take part, so a server leaving or rejoining doesn't reshuffle the
+    // running scores of the others.
+    selectSmoothWeighted(healthyServers, now = Date.now()) {
+        let totalWeight = 0;
+        let best = null;
+
+        for (const server of healthyServers) {
+            const weight = this.effectiveWeight(server, now);
+            server.currentWeight += weight;
+            totalWeight += weight;
+            if (!best || server.currentWeight > best.currentWeight) {
+                best = server;
+            }
+        }
+
+        best.currentWeight -= totalWeight;
+        return best;
+    }
+
+    // --- Weighted Random ---
+    selectWeightedRandom(healthyServers, weightOf = server => this.effectiveWeight(server)) {
+        const weights = healthyServers.map(weightOf);
+        const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+        let point = Math.random() * totalWeight;
+        for (let i = 0; i < healthyServers.length; i++) {
+            point -= weights[i];
+            if (point < 0) return healthyServers[i];
+        }
+        return healthyServers[healthyServers.length - 1];
+    }
+
+    // --- Least Connections ---
+    // Picks the server with the fewest active connections. In weighted mode the count is
+    // compared relative to the (effective) weight (connections / weight), and an exact tie goes
+    // to the server with the higher weight. Unweighted, only slow start scales the count.
+    // Remaining ties are broken round robin: the scan starts just after the previously chosen
+    // server, so equally loaded servers take turns instead of the first one always winning.
+    selectLeastConnections(healthyServers, weighted, now = Date.now()) {
+        const count = healthyServers.length;
+        const start = (this.currentIndex + 1) % count;
+        let best = null;
+        let bestIndex = -1;
+
+        for (let offset = 0; offset < count; offset++) {
+            const index = (start + offset) % count;
+            const server = healthyServers[index];
+            if (!best || this._isLessLoaded(server, best, weighted, now)) {
+                best = server;
+                bestIndex = index;
+            }
+        }
+
+        this.currentIndex = bestIndex;
+        return best;
+    }
+
+    _isLessLoaded(a, b, weighted, now) {
+        const weightA = weighted ? this.effectiveWeight(a, now) : this.slowStartFactor(a, now);
+        const weightB = weighted ? this.effectiveWeight(b, now) : this.slowStartFactor(b, now);
+        // a.conn / a.weight < b.conn / b.weight, cross-multiplied to avoid dividing by zero
+        const left = a.activeConnections * weightB;
+        const right = b.activeConnections * weightA;
+        return left < right || (weighted && left === right && weightA > weightB);
+    }
+
+    // --- Connection Tracking ---
+    // Callers must pair every server returned by getNextServer() with exactly one
+    // decrementConnections() call, otherwise the least-connections algorithms drift.
     incrementConnections(serverId) {
         const server = this.getServerById(serverId);
         if (server) server.activeConnections++;
+        if (this.outlierDetector) this.outlierDetector.onRequestStart(serverId);
     }
 
     decrementConnections(serverId) {
@@ -176,6 +303,34 @@ class ServerPool {
         if (server && server.activeConnections > 0) server.activeConnections--;
     }
 
+    // The upgrade handshake counts as a request for outlier detection (half-open probes)
+    incrementSockets(serverId) {
+        const server = this.getServerById(serverId);
+        if (server) {
+            server.activeSockets++;
+            if (this.outlierDetector) this.outlierDetector.onRequestStart(serverId);
+        }
+    }
+
+    decrementSockets(serverId) {
+        const server = this.getServerById(serverId);
+        if (server && server.activeSockets > 0) server.activeSockets--;
+    }
+
+    // --- Passive Health Reporting ---
+    // outcome: 'success' | 'failure' (5xx or proxy error) | 'timeout' | 'cancelled'
+    // Without outlier detection a failure marks the server unhealthy right away and the
+    // active health checks bring it back.
+    recordOutcome(serverId, outcome, reason = outcome) {
+        const server = this.getServerById(serverId);
+        if (!server) return;
+        if (this.outlierDetector) {
+            this.outlierDetector.recordOutcome(serverId, outcome, this.servers.length);
+        } else if (outcome === 'failure' || outcome === 'timeout') {
+            this.markServerUnhealthy(server, reason);
+        }
+    }
+
     getMetrics() {
         const healthyCount = this.getHealthyServers().length;
         const unhealthyCount = this.servers.length - healthyCount;
@@ -183,7 +338,14 @@ class ServerPool {
             id: s.id,
             healthy: s.healthy,
             weight: s.weight,
-            activeConnections: s.activeConnections // Note: Very basic count
+            effectiveWeight: this.effectiveWeight(s), // Below weight during slow start
+            force: s.force ?? null,
+            draining: Boolean(s.draining),
+            activeConnections: s.activeConnections,
+            activeSockets: s.activeSockets,
+            maxConnections: s.maxConnections ?? null,
+            healthChecks: { passed: s.healthChecksPassed, failed: s.healthChecksFailed },
+            ...(this.outlierDetector && { outlier: this.outlierDetector.getServerMetrics(s.id) }),
         }));
         return {
             totalServers: this.servers.length,
@@ -195,76 +357,57 @@ class ServerPool {
     }
 
     // --- Enhanced Health Check ---
+    // A server only changes state after `rise` consecutive passing probes (to come back)
+    // or `fall` consecutive failing ones (to be taken out), so one slow response doesn't flap it.
     async checkSingleServer(server) {
-        const options = {
-            host: server.host,
-            port: server.port,
-            path: this.healthCheckConfig.path,
-            method: this.healthCheckConfig.method || 'GET',
-            timeout: this.healthCheckConfig.timeout,
-            // Add agent if needed (e.g., for keep-alive, though less critical for health checks)
-        };
-
-        // Determine http or https based on server config (or assume http)
-        const protocol = (server.protocol === 'https' ? https : http); // Add 'protocol: https' to server config if needed
-
-        return new Promise((resolve) => {
-            const req = protocol.request(options, (res) => {
-                let body = '';
-                res.on('data', chunk => body += chunk);
-                res.on('end', () => {
-                    const wasHealthy = server.healthy;
-                    const expectedStatus = this.healthCheckConfig.expect?.statusCode ?? 200;
-                    const expectedBodySubstring = this.healthCheckConfig.expect?.bodyIncludes;
-
-                    let isStatusOk = res.statusCode === expectedStatus;
-                    let isBodyOk = !expectedBodySubstring || (body.includes(expectedBodySubstring));
-
-                    server.healthy = isStatusOk && isBodyOk;
-
-                    if (wasHealthy !== server.healthy) {
-                         const reason = !isStatusOk ? `Status: ${res.statusCode} (expected ${expectedStatus})` : `Body check failed`;
-                        console.log(`Server ${server.id} changed status to ${server.healthy ? 'Healthy' : 'Unhealthy'} (${server.healthy ? 'OK' : reason})`);
-                        if (server.healthy) this.recalculateWeightsIfNeeded(); // Recalculate if server becomes healthy
-                    }
-                    resolve();
-                });
-            });
-
-             req.on('error', (err) => {
-                this.markServerUnhealthy(server, `Error: ${err.code || err.message}`);
-                resolve();
-            });
-
-            req.on('timeout', () => {
-                this.markServerUnhealthy(server, 'Error: Timeout');
-                req.destroy(); // Ensure socket is destroyed
-                resolve();
-            });
-
-            req.end();
-        });
+        const { ok, reason } = await this.probe(server);
+        const rise = this.healthCheckConfig.rise ?? 1;
+        const fall = this.healthCheckConfig.fall ?? 1;
+
+        if (ok) {
+            server.healthChecksPassed++;
+            server.consecutiveCheckFailures = 0;
+            server.consecutiveCheckSuccesses++;
+            if (!server.healthy && server.consecutiveCheckSuccesses >= rise) {
+                server.healthy = true;
+                server.currentWeight = 0; // Rejoin smooth WRR without a stale score
+                this.startSlowStart(server);
+                console.log(`Server ${server.id} changed status to Healthy (OK, ${server.consecutiveCheckSuccesses} consecutive passing checks)`);
+                this.emit('healthChange', server, 'OK');
+            }
+        } else {
+            server.healthChecksFailed++;
+            server.consecutiveCheckSuccesses = 0;
+            server.consecutiveCheckFailures++;
+            if (server.healthy && server.consecutiveCheckFailures >= fall) {
+                this.markServerUnhealthy(server, `${reason}, ${server.consecutiveCheckFailures} consecutive failing checks`);
+            }
+        }
     }
 
      markServerUnhealthy(server, reason) {
          const wasHealthy = server.healthy;
          server.healthy = false;
+         server.consecutiveCheckSuccesses = 0; // Has to earn `rise` passing checks again
          if (wasHealthy !== server.healthy) {
+             server.currentWeight = 0;
              console.log(`Server ${server.id} changed status to Unhealthy (${reason})`);
-             // Optional: Recalculate weights immediately when a server goes unhealthy
-             // this.recalculateWeightsIfNeeded();
+             this.emit('healthChange', server, reason);
          }
      }
 
-
-    recalculateWeightsIfNeeded() {
-         if (this.algorithm.includes('WEIGHTED')) {
-             // console.log('Recalculating weights due to health change...');
-             this.calculateWeights();
-             this.buildWeightedList(); // Rebuild the simple list too
-         }
+    // Applies a health state decided elsewhere (the master's active checks)
+    setServerHealth(serverId, healthy) {
+        const server = this.getServerById(serverId);
+        if (!server || server.healthy === healthy) return;
+        server.healthy = healthy;
+        server.currentWeight = 0;
+        if (healthy) this.startSlowStart(server);
+        server.consecutiveCheckSuccesses = 0;
+        server.consecutiveCheckFailures = 0;
     }
 
+
     // --- Health Check Lifecycle (mostly unchanged) ---
      startHealthChecks() { /* ... unchanged ... */
          if (this.healthCheckIntervalId) clearInterval(this.healthCheckIntervalId);
@@ -283,10 +426,29 @@ class ServerPool {
          // console.log(`[${process.pid}] Performing health checks...`);
          const checks = this.servers.map(server => this.checkSingleServer(server));
          await Promise.all(checks);
-         // Recalculate weights *after* all checks are done for a cycle
-         this.recalculateWeightsIfNeeded();
      }
 
+    // --- Live Reconfiguration ---
+    // Applies a reloaded config in place. Servers that still exist keep their health,
+    // connection counts and outlier state, so requests in flight are unaffected.
+    reconfigure({ servers, algorithm, healthCheckConfig, options = {} }) {
+        this.algorithm = algorithm;
+        this.options = options;
+        this.healthCheckConfig = healthCheckConfig;
+        this.probe = createHealthProbe(healthCheckConfig);
+        this.hashRing = algorithm === 'CONSISTENT_HASH' ? new HashRing([], options.virtualNodesPerWeight) : null;
+
+        if (!options.outlierDetection?.enabled) {
+            this.outlierDetector = null;
+        } else if (this.outlierDetector) {
+            this.outlierDetector.setConfig(options.outlierDetection);
+        } else {
+            this.outlierDetector = new OutlierDetector(options.outlierDetection);
+        }
+
+        this.updateServers(servers); // Rebuilds the hash ring and restarts health checks
+    }
+
     // --- Dynamic Update (Basic) ---
     updateServers(newServersConfig) {
         console.log(`[${process.pid}] Received request to update server pool...`);
@@ -296,18 +458,30 @@ class ServerPool {
         this.servers = newServersConfig.map((sConfig) => {
             const id = `${sConfig.host}:${sConfig.port}`;
             const existing = existingServers.get(id);
-            return {
+            const server = {
                 ...sConfig,
                 id: id,
                 healthy: existing ? existing.healthy : true, // Preserve health status if server existed
                 weight: sConfig.weight ?? 1,
-                currentWeight: existing ? existing.currentWeight : 0, // Preserve state? Or reset? Resetting is simpler.
+                currentWeight: existing ? existing.currentWeight : 0, // Keep the smooth WRR position of existing servers
                 activeConnections: existing ? existing.activeConnections : 0, // Preserve? Reset? Reset is safer.
+                activeSockets: existing ? existing.activeSockets : 0,
+                slowStartSince: existing ? existing.slowStartSince : null,
+                consecutiveCheckSuccesses: existing ? existing.consecutiveCheckSuccesses : 0,
+                consecutiveCheckFailures: existing ? existing.consecutiveCheckFailures : 0,
+                healthChecksPassed: existing ? existing.healthChecksPassed : 0,
+                healthChecksFailed: existing ? existing.healthChecksFailed : 0,
             };
+            if (!existing) this.startSlowStart(server); // New servers ramp up like recovered ones
+            return server;
         });
 
         this.currentIndex = -1; // Reset round-robin index
-        this.recalculateWeightsIfNeeded(); // Use the new weights/servers
+        if (this.outlierDetector) this.outlierDetector.retain(this.servers.map(s => s.id));
+        if (this.hashRing) {
+            // Ring points are derived from server ids, so unchanged servers keep their keys
+            this.hashRing.build(this.servers);
+        }
 
         console.log(`[${process.pid}] Server pool updated. New server count: ${this.servers.length}`);
         if (this.healthCheckConfig.enabled) {
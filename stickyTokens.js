@@ -0,0 +1,115 @@
+// stickyTokens.js
+// Opaque sticky session tokens. A token names the backend a client is pinned to without
+// revealing it, expires, and can't be forged or carried over to another pool:
+//
+//   <key id>.<backend>.<expiry>.<signature>
+//
+// <backend> is a keyed hash of the backend's id, or with `encrypt` the id itself encrypted
+// with AES-256-GCM (a fresh IV every time, so tokens of clients on the same backend don't
+// look alike). <expiry> is in seconds (base 36) and the HMAC-SHA256 signature covers the pool
+// name and every other part. The first key signs new tokens; the others are still accepted,
+// so a key can be rotated out without unpinning every client at once.
+const crypto = require('crypto');
+
+const TOKEN_PATTERN = /^[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+\.[0-9a-z]+\.[A-Za-z0-9_-]+$/;
+const KEY_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+const MIN_SECRET_LENGTH = 16;
+const SIGNATURE_LENGTH = 22; // base64url characters: 128 bits of the HMAC
+const TAG_LENGTH = 16; // base64url characters of a hashed backend; encrypted ones are longer
+const IV_BYTES = 12;
+const AUTH_TAG_BYTES = 16;
+
+// 'k2:secret,k1:older-secret' -> [{ id: 'k2', secret: 'secret' }, { id: 'k1', secret: 'older-secret' }]
+// Throws on malformed entries and secrets too short to be worth signing with.
+function parseStickyKeys(value) {
+    return String(value || '').split(',').map(entry => entry.trim()).filter(Boolean).map((entry) => {
+        const separator = entry.indexOf(':');
+        const id = entry.slice(0, separator);
+        const secret = entry.slice(separator + 1);
+        if (separator <= 0 || !KEY_ID_PATTERN.test(id)) throw new Error(`Invalid sticky key '${id || entry}' (expected <id>:<secret>, ids of letters, digits, '-' and '_')`);
+        if (secret.length < MIN_SECRET_LENGTH) throw new Error(`Sticky key '${id}': the secret must be at least ${MIN_SECRET_LENGTH} characters`);
+        return { id, secret };
+    });
+}
+
+const deriveKey = (secret, purpose) => Buffer.from(crypto.hkdfSync('sha256', secret, '', `sticky-token-${purpose}`, 32));
+
+class StickyTokens {
+    // settings: { keys: [{ id, secret }] (the first signs new tokens), encrypt }
+    constructor(settings) {
+        this.encrypt = settings.encrypt;
+        this.keys = new Map(settings.keys.map(({ id, secret }) => [id, {
+            signing: deriveKey(secret, 'signing'),
+            encryption: deriveKey(secret, 'encryption'),
+        }]));
+        this.currentKeyId = settings.keys[0].id;
+        this.tags = new Map(); // `${keyId}\n${pool}\n${serverId}` -> hashed backend
+    }
+
+    // Token pinning a client of `poolName` to `serverId` for `ttl` ms
+    issue(poolName, serverId, ttl, now = Date.now()) {
+        const key = this.keys.get(this.currentKeyId);
+        const backend = this.encrypt ? this._seal(key, serverId) : this._tag(this.currentKeyId, poolName, serverId);
+        const unsigned = `${this.currentKeyId}.${backend}.${Math.ceil((now + ttl) / 1000).toString(36)}`;
+        return `${unsigned}.${this._sign(key, poolName, unsigned)}`;
+    }
+
+    // { serverId, expiresAt } if `token` is genuine, unexpired, for `poolName` and names one of
+    // `serverIds`; null otherwise. Hashed and encrypted tokens are both read, so switching
+    // `encrypt` doesn't unpin anyone.
+    verify(poolName, token, serverIds, now = Date.now()) {
+        if (typeof token !== 'string' || !TOKEN_PATTERN.test(token)) return null;
+        const [keyId, backend, expiry, signature] = token.split('.');
+        const key = this.keys.get(keyId);
+        if (!key) return null; // Signed with a key that has been retired
+        const expected = this._sign(key, poolName, `${keyId}.${backend}.${expiry}`);
+        if (signature.length !== expected.length || !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) return null;
+        const expiresAt = parseInt(expiry, 36) * 1000;
+        if (!(expiresAt > now)) return null;
+
+        const serverId = backend.length === TAG_LENGTH
+            ? serverIds.find(id => this._tag(keyId, poolName, id) === backend)
+            : this._open(key, backend);
+        return serverId && serverIds.includes(serverId) ? { serverId, expiresAt } : null;
+    }
+
+    _sign(key, poolName, unsigned) {
+        return crypto.createHmac('sha256', key.signing).update(`${poolName}\n${unsigned}`).digest('base64url').slice(0, SIGNATURE_LENGTH);
+    }
+
+    // Same backend, same tag (per key and pool), so tags are cached
+    _tag(keyId, poolName, serverId) {
+        const cacheKey = `${keyId}\n${poolName}\n${serverId}`;
+        let tag = this.tags.get(cacheKey);
+        if (!tag) {
+            tag = crypto.createHmac('sha256', this.keys.get(keyId).signing).update(`backend\n${poolName}\n${serverId}`).digest('base64url').slice(0, TAG_LENGTH);
+            this.tags.set(cacheKey, tag);
+        }
+        return tag;
+    }
+
+    _seal(key, serverId) {
+        const iv = crypto.randomBytes(IV_BYTES);
+        const cipher = crypto.createCipheriv('aes-256-gcm', key.encryption, iv);
+        const encrypted = Buffer.concat([cipher.update(serverId, 'utf8'), cipher.final()]);
+        return Buffer.concat([iv, encrypted, cipher.getAuthTag()]).toString('base64url');
+    }
+
+    _open(key, sealed) {
+        const bytes = Buffer.from(sealed, 'base64url');
+        if (bytes.length <= IV_BYTES + AUTH_TAG_BYTES) return null;
+        try {
+            const decipher = crypto.createDecipheriv('aes-256-gcm', key.encryption, bytes.subarray(0, IV_BYTES));
+            decipher.setAuthTag(bytes.subarray(bytes.length - AUTH_TAG_BYTES));
+            return Buffer.concat([decipher.update(bytes.subarray(IV_BYTES, bytes.length - AUTH_TAG_BYTES)), decipher.final()]).toString('utf8');
+        } catch (err) {
+            return null;
+        }
+    }
+}
+
+module.exports = {
+    StickyTokens,
+    parseStickyKeys,
+    TOKEN_PATTERN,
+};
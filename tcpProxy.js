@@ -0,0 +1,237 @@
+// tcpProxy.js
+// Layer 4 load balancing: every connection to a TCP listener is handed to a backend of the
+// listener's pool and the bytes are piped both ways without being looked at. Backend choice
+// (algorithm, weights, slow start, maxConnections) and health are the pool's, as for HTTP;
+// CONSISTENT_HASH hashes the client address. A connection counts in its backend's
+// activeConnections for as long as it is open.
+//
+// Nothing is read from the client until a backend has accepted the connection, so a backend
+// that refuses it or doesn't answer within `connectTimeout` is retried on another one. With
+// `proxyProtocol` 'v1' (text) or 'v2' (binary) the backend first gets a PROXY protocol header
+// with the client's address, since the connection itself comes from the balancer.
+const net = require('net');
+const { normalizeAddress } = require('./forwardedHeaders');
+
+const PROXY_PROTOCOL_VERSIONS = ['off', 'v1', 'v2'];
+const PROXY_V2_SIGNATURE = Buffer.from('\r\n\r\n\0\r\nQUIT\n', 'latin1');
+const PROXY_V2_COMMAND = 0x21; // Version 2, PROXY (the connection is relayed for a client)
+const PROXY_V2_FAMILIES = { 4: 0x11, 6: 0x21 }; // TCP over IPv4 / IPv6; 0x00 = unknown
+const RETRYABLE_ERRORS = new Set(['ECONNREFUSED', 'ECONNRESET', 'EHOSTUNREACH', 'ENETUNREACH', 'ENOTFOUND', 'EAI_AGAIN', 'TIMEOUT']);
+
+// '5432=postgres, 6379' -> [{ port: 5432, pool: 'postgres' }, { port: 6379, pool: defaultPool }]
+// Throws on malformed entries and ports given twice.
+function parseTcpListeners(value, defaultPool) {
+    const listeners = String(value || '').split(',').map(entry => entry.trim()).filter(Boolean).map((entry) => {
+        const [port, pool = defaultPool, ...rest] = entry.split('=').map(part => part.trim());
+        if (!/^\d+$/.test(port) || Number(port) < 1 || Number(port) > 65535 || !pool || rest.length) {
+            throw new Error(`Invalid TCP listener '${entry}' (expected <port>=<pool> or <port>)`);
+        }
+        return { port: Number(port), pool };
+    });
+    listeners.forEach(({ port }, i) => {
+        if (listeners.findIndex(other => other.port === port) !== i) throw new Error(`TCP listener port ${port} is given twice`);
+    });
+    return listeners;
+}
+
+// '10.0.0.1' -> 4 bytes, '2001:db8::1' -> 16 bytes (an embedded IPv4 tail is two groups)
+function addressBytes(address) {
+    if (net.isIPv4(address)) return Buffer.from(address.split('.').map(Number));
+    const groups = part => (part ? part.split(':') : []).flatMap((group) => {
+        if (!group.includes('.')) return [group];
+        const bytes = addressBytes(group);
+        return [bytes.readUInt16BE(0).toString(16), bytes.readUInt16BE(2).toString(16)];
+    });
+    const [head, tail] = address.replace(/%.*$/, '').split('::');
+    const headGroups = groups(head);
+    const tailGroups = groups(tail);
+    const all = tail === undefined ? headGroups : [...headGroups, ...new Array(8 - headGroups.length - tailGroups.length).fill('0'), ...tailGroups];
+    const bytes = Buffer.alloc(16);
+    all.forEach((group, i) => bytes.writeUInt16BE(parseInt(group, 16), i * 2));
+    return bytes;
+}
+
+// PROXY protocol header describing `socket` (client -> balancer), 'v1' or 'v2'. Addresses of
+// different families (or none) are sent as unknown, which backends treat as a local connection.
+function proxyProtocolHeader(version, socket) {
+    const source = normalizeAddress(socket.remoteAddress);
+    const destination = normalizeAddress(socket.localAddress);
+    const family = source && destination && net.isIP(source) === net.isIP(destination) ? net.isIP(source) : 0;
+
+    if (version === 'v1') {
+        if (!family) return Buffer.from('PROXY UNKNOWN\r\n');
+        return Buffer.from(`PROXY TCP${family} ${source} ${destination} ${socket.remotePort} ${socket.localPort}\r\n`);
+    }
+    const ports = Buffer.alloc(4);
+    ports.writeUInt16BE(socket.remotePort, 0);
+    ports.writeUInt16BE(socket.localPort, 2);
+    const addresses = family ? Buffer.concat([addressBytes(source), addressBytes(destination), ports]) : Buffer.alloc(0);
+    const header = Buffer.alloc(4);
+    header[0] = PROXY_V2_COMMAND;
+    header[1] = PROXY_V2_FAMILIES[family] || 0x00;
+    header.writeUInt16BE(addresses.length, 2);
+    return Buffer.concat([PROXY_V2_SIGNATURE, header, addresses]);
+}
+
+// One listening port. `pools` is the worker's PoolRegistry; the pool is looked up for every
+// connection, so live config changes apply to new connections. `counters` are the worker's
+// metrics: { connectionsTotal, rejectedTotal, bytesTotal, errorsTotal, retriesTotal }.
+// connection: { clientSocket, backendSocket, clientAddress, pool, settings (the pool's tcp), targetServer, triedServerIds, connected }
+class TcpListener {
+    constructor({ port, poolName, pools, retry, counters }) {
+        this.port = port;
+        this.poolName = poolName;
+        this.pools = pools;
+        this.retry = retry;
+        this.counters = counters;
+        this.connections = new Set();
+        // Half-open connections are relayed as such: a client that has sent everything can still
+        // read the backend's answer
+        this.server = net.createServer({ allowHalfOpen: true }, socket => this._accept(socket));
+        this.server.on('error', err => console.error(`[${process.pid}] TCP listener ${port} error:`, err));
+    }
+
+    listen(callback) {
+        this.server.listen(this.port, callback);
+    }
+
+    // Stops accepting; `callback` runs once the open connections have ended on their own
+    close(callback) {
+        if (!this.server.listening) {
+            callback();
+            return;
+        }
+        this.server.close(() => callback());
+    }
+
+    // Cuts off whatever is still open (end of a shutdown's drain timeout)
+    destroyConnections() {
+        this.connections.forEach(({ clientSocket }) => clientSocket.destroy());
+    }
+
+    stats() {
+        return { port: this.port, pool: this.poolName, active: this.connections.size };
+    }
+
+    _accept(clientSocket) {
+        const pool = this.pools.get(this.poolName);
+        const settings = this.pools.getSettings(this.poolName);
+        clientSocket.on('error', (err) => {
+            console.error(`[${process.pid}] TCP client error on port ${this.port}:`, err.code || err.message);
+        });
+        if (!pool) {
+            // Only possible if the listener's pool was removed; config validation prevents that
+            console.warn(`[${process.pid}] TCP listener ${this.port}: pool '${this.poolName}' doesn't exist, refusing connection.`);
+            this.counters.rejectedTotal.inc({ listener: this.port, reason: 'unknown_pool' });
+            clientSocket.destroy();
+            return;
+        }
+
+        const connection = {
+            clientSocket,
+            backendSocket: null,
+            clientAddress: normalizeAddress(clientSocket.remoteAddress) || clientSocket.remoteAddress,
+            pool,
+            settings: settings.tcp,
+            targetServer: null,
+            triedServerIds: new Set(),
+            connected: false,
+        };
+        this.connections.add(connection);
+        clientSocket.once('close', () => {
+            this.connections.delete(connection);
+            if (connection.backendSocket) connection.backendSocket.destroy();
+        });
+        this._connect(connection);
+    }
+
+    _connect(connection) {
+        const { clientSocket, pool, settings, triedServerIds } = connection;
+        const hashKey = pool.algorithm === 'CONSISTENT_HASH' ? connection.clientAddress : null;
+        const targetServer = pool.getNextServer(null, hashKey, triedServerIds);
+        if (!targetServer) {
+            console.warn(`[${process.pid}] No healthy backend servers in pool '${this.poolName}' for TCP port ${this.port}!`);
+            this.counters.rejectedTotal.inc({ listener: this.port, reason: triedServerIds.size ? 'connect_failed' : 'no_backend' });
+            clientSocket.destroy();
+            return;
+        }
+        connection.targetServer = targetServer;
+        triedServerIds.add(targetServer.id);
+
+        const backendSocket = net.connect({ host: targetServer.host, port: targetServer.port, allowHalfOpen: true });
+        connection.backendSocket = backendSocket;
+        let outcomeRecorded = false;
+        const recordOutcome = (outcome, reason) => {
+            if (outcomeRecorded) return;
+            outcomeRecorded = true;
+            pool.recordOutcome(targetServer.id, outcome, reason);
+        };
+        const connectTimer = setTimeout(() => {
+            const err = new Error(`No connection within ${settings.connectTimeout}ms`);
+            err.code = 'TIMEOUT';
+            backendSocket.destroy(err);
+        }, settings.connectTimeout);
+
+        // Every attempt's socket closes exactly once, which releases its connection slot
+        backendSocket.once('close', () => {
+            clearTimeout(connectTimer);
+            recordOutcome('cancelled'); // The client left before the backend answered
+            pool.decrementConnections(targetServer.id);
+            // Once the backend is gone, the client gets what is left to send and is closed
+            if (connection.connected) clientSocket.end(() => clientSocket.destroy());
+        });
+
+        backendSocket.once('connect', () => {
+            clearTimeout(connectTimer);
+            if (clientSocket.destroyed) {
+                backendSocket.destroy();
+                return;
+            }
+            connection.connected = true;
+            recordOutcome('success', 'Connected');
+            this.counters.connectionsTotal.inc({ listener: this.port, pool: this.poolName, backend: targetServer.id });
+            if (settings.proxyProtocol !== 'off') backendSocket.write(proxyProtocolHeader(settings.proxyProtocol, clientSocket));
+
+            const labels = { pool: this.poolName, backend: targetServer.id };
+            clientSocket.on('data', chunk => this.counters.bytesTotal.inc({ ...labels, direction: 'in' }, chunk.length));
+            backendSocket.on('data', chunk => this.counters.bytesTotal.inc({ ...labels, direction: 'out' }, chunk.length));
+            clientSocket.pipe(backendSocket);
+            backendSocket.pipe(clientSocket);
+            // Reads and writes both reset a socket's timer, so the client side sees all traffic
+            if (settings.idleTimeout > 0) {
+                clientSocket.setTimeout(settings.idleTimeout, () => {
+                    console.log(`[${process.pid}] Closing idle TCP connection to ${targetServer.id}`);
+                    clientSocket.destroy();
+                });
+            }
+        });
+
+        backendSocket.on('error', (err) => {
+            const code = err.code || 'UNKNOWN';
+            if (connection.connected) {
+                // The backend went away mid-connection; the client can only be cut off too
+                console.error(`[${process.pid}] TCP backend error (${targetServer.id}):`, code);
+                clientSocket.destroy();
+                return;
+            }
+            console.error(`[${process.pid}] TCP connect error for ${targetServer.id}:`, code);
+            this.counters.errorsTotal.inc({ backend: targetServer.id, code });
+            recordOutcome(code === 'TIMEOUT' ? 'timeout' : 'failure', `Proxy Error: ${code === 'TIMEOUT' ? 'Timeout' : code}`);
+            if (clientSocket.destroyed) return;
+            if (this.retry.enabled && triedServerIds.size < this.retry.maxAttempts && RETRYABLE_ERRORS.has(code)) {
+                this.counters.retriesTotal.inc({ backend: targetServer.id, code });
+                this._connect(connection);
+                return;
+            }
+            this.counters.rejectedTotal.inc({ listener: this.port, reason: 'connect_failed' });
+            clientSocket.destroy();
+        });
+    }
+}
+
+module.exports = {
+    TcpListener,
+    parseTcpListeners,
+    proxyProtocolHeader,
+    PROXY_PROTOCOL_VERSIONS,
+};
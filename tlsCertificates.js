@@ -0,0 +1,123 @@
+// tlsCertificates.js
+// Certificates for the HTTPS listener: the default key/cert pair (sslPaths) plus any number of
+// pairs in a directory, chosen per connection by SNI. A pair in the directory is `<name>.crt`
+// with a matching `<name>.key`; the host names it serves are read from the certificate itself
+// (subjectAltName DNS entries, or the CN if it has none), so file names don't matter.
+const fs = require('fs');
+const path = require('path');
+const tls = require('tls');
+const crypto = require('crypto');
+
+// The files whose changes trigger a reload (the master polls them, see loadBalancer.js)
+function certificateFiles(tlsSettings, sslPaths) {
+    const files = [sslPaths.key, sslPaths.cert];
+    if (tlsSettings.clientCaPath) files.push(tlsSettings.clientCaPath);
+    if (tlsSettings.certDir && fs.existsSync(tlsSettings.certDir)) {
+        fs.readdirSync(tlsSettings.certDir)
+            .filter(name => name.endsWith('.crt') || name.endsWith('.key'))
+            .sort()
+            .forEach(name => files.push(path.join(tlsSettings.certDir, name)));
+    }
+    return files;
+}
+
+// 'DNS:a.example.com, DNS:*.example.com, IP Address:10.0.0.1' -> ['a.example.com', '*.example.com']
+function certificateHostNames(certificate) {
+    const names = (certificate.subjectAltName || '').split(', ')
+        .filter(entry => entry.startsWith('DNS:'))
+        .map(entry => entry.slice(4).toLowerCase());
+    if (names.length) return names;
+    const commonName = /^CN=(.+)$/m.exec(certificate.subject);
+    return commonName ? [commonName[1].toLowerCase()] : [];
+}
+
+class CertificateStore {
+    constructor(tlsSettings, sslPaths) {
+        this.tlsSettings = tlsSettings;
+        this.sslPaths = sslPaths;
+        this.defaultPair = null;  // { key, cert } served without SNI or for unknown names
+        this.exact = new Map();    // host name -> SecureContext
+        this.wildcard = new Map(); // '.example.com' (from '*.example.com') -> SecureContext
+        this.load();
+    }
+
+    // Settings shared by the default context and every SNI one
+    contextOptions() {
+        const options = { minVersion: this.tlsSettings.minVersion };
+        if (this.tlsSettings.ciphers) {
+            options.ciphers = this.tlsSettings.ciphers;
+            options.honorCipherOrder = true;
+        }
+        // Client certificates are verified against the CA of whichever context was picked
+        if (this.tlsSettings.clientAuth !== 'off') options.ca = fs.readFileSync(this.tlsSettings.clientCaPath);
+        return options;
+    }
+
+    // Reads everything into new maps and swaps them in only if all of it loaded; throws otherwise
+    load() {
+        const common = this.contextOptions();
+        const exact = new Map();
+        const wildcard = new Map();
+        let defaultPair = null;
+        if (fs.existsSync(this.sslPaths.key) && fs.existsSync(this.sslPaths.cert)) {
+            defaultPair = { key: fs.readFileSync(this.sslPaths.key), cert: fs.readFileSync(this.sslPaths.cert) };
+            tls.createSecureContext({ ...common, ...defaultPair }); // Fails on a key that doesn't match the cert
+        }
+
+        if (this.tlsSettings.certDir) {
+            fs.readdirSync(this.tlsSettings.certDir).filter(name => name.endsWith('.crt')).sort().forEach((name) => {
+                const certPath = path.join(this.tlsSettings.certDir, name);
+                const keyPath = certPath.replace(/\.crt$/, '.key');
+                if (!fs.existsSync(keyPath)) throw new Error(`${certPath} has no matching key file ${path.basename(keyPath)}`);
+                const pair = { key: fs.readFileSync(keyPath), cert: fs.readFileSync(certPath) };
+                let context;
+                let hostNames;
+                try {
+                    context = tls.createSecureContext({ ...common, ...pair });
+                    hostNames = certificateHostNames(new crypto.X509Certificate(pair.cert));
+                } catch (err) {
+                    throw new Error(`${certPath}: ${err.message}`);
+                }
+                hostNames.forEach((hostName) => {
+                    if (hostName.startsWith('*.')) wildcard.set(hostName.slice(1), context);
+                    else exact.set(hostName, context);
+                });
+                if (!defaultPair) defaultPair = pair; // No default pair: the first certificate in the directory is the fallback
+            });
+        }
+        if (!defaultPair) throw new Error(`No certificate found (${this.sslPaths.cert}${this.tlsSettings.certDir ? ` or ${this.tlsSettings.certDir}/*.crt` : ''})`);
+
+        this.defaultPair = defaultPair;
+        this.exact = exact;
+        this.wildcard = wildcard;
+        return { hostNames: exact.size + wildcard.size };
+    }
+
+    // Options for https.createServer(), and for server.setSecureContext() after a reload
+    serverOptions() {
+        const options = {
+            ...this.contextOptions(),
+            ...this.defaultPair,
+            SNICallback: (servername, callback) => callback(null, this.contextFor(servername)),
+        };
+        if (this.tlsSettings.clientAuth !== 'off') {
+            options.requestCert = true;
+            options.rejectUnauthorized = this.tlsSettings.clientAuth === 'required';
+        }
+        return options;
+    }
+
+    // Exact name first, then a wildcard covering one label (*.example.com matches a.example.com
+    // but not a.b.example.com). undefined means the server's default context.
+    contextFor(servername) {
+        const hostName = (servername || '').toLowerCase();
+        if (this.exact.has(hostName)) return this.exact.get(hostName);
+        const dot = hostName.indexOf('.');
+        return dot > 0 ? this.wildcard.get(hostName.slice(dot)) : undefined;
+    }
+}
+
+module.exports = {
+    CertificateStore,
+    certificateFiles,
+};
@@ -0,0 +1,97 @@
+// upstreamAgents.js
+// Connections from a worker to the backends. Every backend gets its own agent, so sockets are
+// kept alive and reused per backend (no new TCP/TLS handshake and no new ephemeral port per
+// request) and `protocol: https` backends get their own TLS settings.
+//
+// TLS settings come from `upstream.tls` and can be overridden per backend with `server.tls`:
+//   { ca, cert, key (file paths), servername, verify (default true) }
+const fs = require('fs');
+const net = require('net');
+const http = require('http');
+const https = require('https');
+
+const TLS_KEYS = ['ca', 'cert', 'key', 'servername', 'verify'];
+
+// Options for tls.connect() (through https.Agent or https.request) towards `server`
+function upstreamTlsOptions(server, defaults = {}) {
+    const settings = { ...defaults, ...(server.tls || {}) };
+    const options = {
+        rejectUnauthorized: settings.verify !== false,
+        // Without it Node would send the client's Host header as SNI; an IP address can't be one
+        servername: settings.servername || (net.isIP(server.host) ? undefined : server.host),
+    };
+    ['ca', 'cert', 'key'].forEach((name) => {
+        if (settings[name]) options[name] = fs.readFileSync(settings[name]);
+    });
+    return options;
+}
+
+// What the agent depends on: a change means a new agent
+const agentSignature = (server, defaults) => JSON.stringify([server.protocol || 'http', { ...defaults, ...(server.tls || {}) }]);
+
+class UpstreamAgents {
+    // settings: { keepAlive, maxSockets, maxFreeSockets, idleTimeout, tls }
+    constructor(settings) {
+        this.settings = settings;
+        this.agents = new Map(); // server id -> { agent, signature }
+    }
+
+    agentFor(server) {
+        const signature = agentSignature(server, this.settings.tls);
+        const current = this.agents.get(server.id);
+        if (current && current.signature === signature) return current.agent;
+        if (current) this._retire(current.agent);
+
+        const options = {
+            keepAlive: this.settings.keepAlive,
+            maxSockets: this.settings.maxSockets > 0 ? this.settings.maxSockets : Infinity,
+            maxFreeSockets: this.settings.maxFreeSockets,
+            timeout: this.settings.idleTimeout, // Applies to idle sockets; requests have their own proxyTimeout
+            scheduling: 'lifo', // Reuse the warmest sockets so surplus ones can time out
+        };
+        const agent = server.protocol === 'https'
+            ? new https.Agent({ ...options, ...upstreamTlsOptions(server, this.settings.tls) })
+            : new http.Agent(options);
+        this.agents.set(server.id, { agent, signature });
+        return agent;
+    }
+
+    // Drops the agents of backends that are gone
+    retain(serverIds) {
+        const keep = new Set(serverIds);
+        this.agents.forEach(({ agent }, id) => {
+            if (keep.has(id)) return;
+            this._retire(agent);
+            this.agents.delete(id);
+        });
+    }
+
+    // Requests in flight finish on their sockets, which are closed instead of being pooled
+    _retire(agent) {
+        agent.keepAlive = false;
+        Object.values(agent.freeSockets).flat().forEach(socket => socket.destroy());
+    }
+
+    // [{ backend, active, idle, pending }]: sockets in use, kept-alive sockets waiting for a
+    // request, and requests waiting for a socket (maxSockets reached)
+    stats() {
+        const count = sockets => Object.values(sockets).reduce((sum, list) => sum + list.length, 0);
+        return [...this.agents].map(([id, { agent }]) => ({
+            backend: id,
+            active: count(agent.sockets),
+            idle: count(agent.freeSockets),
+            pending: count(agent.requests),
+        }));
+    }
+
+    destroy() {
+        this.agents.forEach(({ agent }) => agent.destroy());
+        this.agents.clear();
+    }
+}
+
+module.exports = {
+    UpstreamAgents,
+    upstreamTlsOptions,
+    TLS_KEYS,
+};
@@ -1,134 +1,1459 @@
 // worker.js
 const http = require('http');
 const https = require('https');
+const http2 = require('http2');
+const cluster = require('cluster');
 const httpProxy = require('http-proxy');
-const fs = require('fs');
+const webOutgoing = require('http-proxy/lib/http-proxy/passes/web-outgoing'); // Response passes, for selfHandleResponse
+const crypto = require('crypto');
+const { Readable, PassThrough } = require('stream');
 const cookie = require('cookie'); // Use cookie parsing library
 const config = require('./config');
-const ServerPool = require('./serverPool');
+const PoolRegistry = require('./poolRegistry');
+const { Router, requestHost } = require('./router');
+const { pickLiveConfig, DEFAULT_POOL } = require('./configFile');
+const RetryBudget = require('./retryBudget');
+const { RateLimitClient } = require('./rateLimiter');
+const { AccessLogger } = require('./accessLog');
+const { CertificateStore } = require('./tlsCertificates');
+const { UpstreamAgents } = require('./upstreamAgents');
+const { ResponseCache, isNotModified, hasConditionalHeaders, revalidationHeaders } = require('./responseCache');
+const { compileHeaderRules, applyHeaderRules, requestHeaderTarget, responseHeaderTarget } = require('./headerRules');
+const { ForwardedHeaders } = require('./forwardedHeaders');
+const { StickyTokens, TOKEN_PATTERN } = require('./stickyTokens');
+const { TcpListener } = require('./tcpProxy');
+const { Registry } = require('./metrics');
 // Optional: const logger = require('./utils/logger'); // If using a separate logger
 
-let serverPool = new ServerPool(config.servers, config.loadBalancingAlgorithm, config.healthCheck);
-let requestCounter = 0; // Simple counter per worker
+// Active health checks run once, in the master; workers apply the results it broadcasts
+const pools = new PoolRegistry(pickLiveConfig(config), (settings, live) => ({
+    servers: settings.servers,
+    algorithm: settings.loadBalancingAlgorithm,
+    healthCheckConfig: { ...settings.healthCheck, enabled: false },
+    options: {
+        virtualNodesPerWeight: settings.consistentHash.virtualNodesPerWeight,
+        outlierDetection: live.outlierDetection,
+        slowStart: settings.slowStart,
+    },
+}));
+let router = new Router(config.routes, config.defaultPool);
+let requestCounter = 0; // Simple counter per worker, aggregated by the master
+
+// This worker's slot among all workers, for splitting each backend's maxConnections
+if (process.env.LB_WORKER_SLOTS) {
+    pools.setConnectionShare(parseInt(process.env.LB_WORKER_SLOT, 10), parseInt(process.env.LB_WORKER_SLOTS, 10));
+}
+
+// --- Metrics ---
+// Shipped to the master with every stats report and merged across workers there
+const metrics = new Registry();
+const requestsTotal = metrics.counter('lb_requests_total', 'Client requests handled, by pool, backend, method and response status class', ['pool', 'backend', 'method', 'status_class']);
+const upstreamLatency = metrics.histogram('lb_upstream_latency_seconds', 'Time from proxying a request to a backend until its response headers arrived', ['backend'], config.metrics.latencyBuckets);
+const proxyErrorsTotal = metrics.counter('lb_proxy_errors_total', 'Errors while proxying to a backend, by error code', ['backend', 'code']);
+const retriesTotal = metrics.counter('lb_retries_total', 'Requests retried on another backend, by the backend that failed and the error', ['backend', 'code']);
+const retriesSkippedTotal = metrics.counter('lb_retries_skipped_total', 'Retryable failures that were not retried, by reason (budget, deadline, no_backend)', ['reason']);
+const upstreamConnectionsTotal = metrics.counter('lb_upstream_connections_total', 'Requests sent to a backend, by whether they reused a kept-alive connection', ['backend', 'reused']);
+const rateLimitedTotal = metrics.counter('lb_rate_limited_total', 'Requests refused with 429, by pool and limit (rate, concurrency)', ['pool', 'reason']);
+const cacheRequestsTotal = metrics.counter('lb_cache_requests_total', 'GET/HEAD requests by response cache status (hit, miss, expired, stale, revalidated, bypass)', ['pool', 'status']);
+const tcpConnectionsTotal = metrics.counter('lb_tcp_connections_total', 'TCP (layer 4) connections piped to a backend, by listener port, pool and backend', ['listener', 'pool', 'backend']);
+const tcpRejectedTotal = metrics.counter('lb_tcp_connections_rejected_total', 'TCP connections closed without reaching a backend, by reason (no_backend, connect_failed, unknown_pool)', ['listener', 'reason']);
+const tcpBytesTotal = metrics.counter('lb_tcp_bytes_total', 'Bytes piped over TCP connections, from clients (in) and to them (out)', ['pool', 'backend', 'direction']);
+const requestsByProtocolTotal = metrics.counter('lb_requests_by_protocol_total', 'Client requests by HTTP version the client spoke (1.0, 1.1, 2.0)', ['protocol']);
+const clientLimitsTotal = metrics.counter('lb_client_limit_rejections_total', 'Requests cut off for breaking a client limit, by limit (header_size, header_timeout, body_size, body_timeout, bad_path)', ['reason']);
+const accessDeniedTotal = metrics.counter('lb_access_denied_total', 'Requests refused by their route\'s access policy, by route and reason (ip, missing_credentials, bad_credentials, invalid_token, expired_token, insufficient_claims, busy)', ['route', 'reason']);
+const http2StreamResetsTotal = metrics.counter('lb_http2_stream_resets_total', 'HTTP/2 streams reset (RST_STREAM) by the client or the balancer instead of ending normally, by error code', ['code']);
+
+// A backend marked down locally (proxy error without outlier detection) is reported to the
+// master, which takes it out of rotation on every worker until the active checks pass again
+pools.on('healthChange', (poolName, server, reason) => {
+    if (!server.healthy && process.send) {
+        sendToMaster({ type: 'markUnhealthy', pool: poolName, serverId: server.id, reason });
+    }
+});
+
+// Per-request proxy state, shared between requestHandler and the proxy event handlers
+// req -> { poolName, pool, settings, targetServer, attempt, triedServerIds, stickySessionId, stickyExpiresAt,
+//          hashKey, body, bodyStream, deadlineAt, outcomeRecorded, timedOut, connectTimedOut, connected, proxyReq,
+//          upstreamStart, upstreamConnectMs, responseStart, bytesIn, cache, rejected }
+const requestContexts = new WeakMap();
+
+// Reports the result of a proxied request to the pool (passive health) exactly once
+function recordOutcome(req, outcome, reason) {
+    const context = requestContexts.get(req);
+    if (!context || context.outcomeRecorded) return;
+    context.outcomeRecorded = true;
+    context.pool.recordOutcome(context.targetServer.id, outcome, reason);
+}
 
 // --- Proxy Server Setup ---
+// Keep-alive connections (and TLS settings for https backends), one agent per backend
+const upstreamAgents = new UpstreamAgents(config.upstream);
+
+// X-Forwarded-* / Forwarded are set by requestHandler (see forwardedHeaders.js), not by http-proxy
+// proxyTimeout covers the whole attempt; connecting has a timeout of its own (proxyConnectTimeout,
+// see the 'proxyReq' handler), so a backend that doesn't accept connections fails fast
 const proxy = httpProxy.createProxyServer({
-    xfwd: true, // Add X-Forwarded-* headers
     proxyTimeout: config.proxyTimeout,
-    // Note: connectTimeout is not a direct option in http-proxy,
-    // it's handled by the underlying net.Socket 'timeout' event during connection phase.
-    // The main 'proxyTimeout' covers the whole proxy request lifecycle.
 });
 
-proxy.on('error', (err, req, res, target) => {
-    // This catches errors *during* proxying (e.g., backend connection refused AFTER selection)
-    console.error(`[${process.pid}] Proxy error for target ${target?.host}:${target?.port}:`, err.code || err.message);
-
-    // Mark the specific target server as unhealthy immediately
-    if (target?.host && target?.port) {
-        const serverId = `${target.host}:${target.port}`;
-        const targetServer = serverPool.getServerById(serverId);
-        if (targetServer) {
-            serverPool.markServerUnhealthy(targetServer, `Proxy Error: ${err.code || 'Unknown'}`);
-            // Decrement connection count as the request failed
-            serverPool.decrementConnections(serverId);
-        }
+// Per-attempt state: flags timeouts (http-proxy aborts the request on proxyTimeout, which
+// surfaces as a plain ECONNRESET) and whether the connection to the backend was ever up.
+// 'proxyReq' fires once the outgoing request has a socket.
+proxy.on('proxyReq', (proxyReq, req) => {
+    const context = requestContexts.get(req);
+    if (!context) return;
+    const attempt = context.attempt;
+    context.proxyReq = proxyReq;
+    upstreamConnectionsTotal.inc({ backend: context.targetServer.id, reused: proxyReq.reusedSocket ? 'true' : 'false' });
+    proxyReq.on('timeout', () => {
+        if (context.attempt === attempt) context.timedOut = true;
+    });
+    // Nothing can have reached the backend before the connection is up (a reused keep-alive socket already is)
+    const socket = proxyReq.socket;
+    if (socket && socket.connecting) {
+        const connectTimer = setTimeout(() => {
+            if (context.attempt !== attempt) return;
+            context.timedOut = true;
+            context.connectTimedOut = true;
+            proxyReq.destroy();
+        }, config.proxyConnectTimeout);
+        socket.once('close', () => clearTimeout(connectTimer));
+        socket.once('connect', () => {
+            clearTimeout(connectTimer);
+            if (context.attempt !== attempt) return;
+            context.connected = true;
+            context.upstreamConnectMs = elapsedMs(context.upstreamStart);
+        });
+    } else {
+        context.connected = true;
+        context.upstreamConnectMs = 0;
     }
+});
+
+proxy.on('proxyRes', (proxyRes, req, res) => {
+    if (isHttp2(req)) prepareHttp2Response(proxyRes);
+    // A backend that goes away mid-response mustn't leave the client waiting for the rest
+    proxyRes.once('close', () => {
+        if (!proxyRes.complete && !res.writableEnded) abortResponse(req, res);
+    });
+    const context = requestContexts.get(req);
+    if (context) {
+        context.responseStart = process.hrtime.bigint();
+        const seconds = Number(context.responseStart - context.upstreamStart) / 1e9;
+        upstreamLatency.observe({ backend: context.targetServer.id }, seconds);
+    }
+    recordOutcome(req, proxyRes.statusCode >= 500 ? 'failure' : 'success', `Status: ${proxyRes.statusCode}`);
+    if (context) tagAppCookie(proxyRes, context);
+    // Draining: the backend's own `Connection: keep-alive` would override the `close` set for the client
+    if (shuttingDown && !isHttp2(req)) proxyRes.headers.connection = 'close';
+    // Cookies the balancer set itself (a sticky pin) go out along with the backend's
+    const ownCookies = res.getHeader('set-cookie');
+    if (ownCookies && proxyRes.headers['set-cookie']) proxyRes.headers['set-cookie'] = [...[].concat(ownCookies), ...proxyRes.headers['set-cookie']];
+    if (context?.cache) handleCacheableResponse(proxyRes, req, res, context.cache);
+});
+
+// Errors of the current attempt; each proxy.web() call passes its own callback so errors of
+// an attempt that has already been retried are ignored.
+function handleProxyError(err, req, res, target) {
+    // A request cut off for breaking a client limit has been answered; its backend request was cancelled on purpose
+    if (requestContexts.get(req)?.rejected) return;
+    // This catches errors *during* proxying (e.g., backend connection refused AFTER selection)
+    console.error(`[${process.pid}] Proxy error for target ${target?.hostname}:${target?.port}:`, err.code || err.message);
+
+    // Report the failure for passive health checking
+    // (the connection slot is released by the request's 'finish'/'close' listeners)
+    const context = requestContexts.get(req);
+    const timedOut = context?.timedOut || err.code === 'ETIMEDOUT';
+    let errorCode = timedOut ? 'TIMEOUT' : (err.code || 'UNKNOWN');
+    if (context?.connectTimedOut) errorCode = 'CONNECT_TIMEOUT';
+    proxyErrorsTotal.inc({ backend: context?.targetServer.id ?? 'unknown', code: errorCode });
+    recordOutcome(req, timedOut ? 'timeout' : 'failure', `Proxy Error: ${context?.connectTimedOut ? 'Connect timeout' : timedOut ? 'Timeout' : (err.code || 'Unknown')}`);
+
+    if (context && retryRequest(req, res, context, errorCode)) return;
+    if (context?.cache && serveStaleOnError(req, res, context.cache)) return;
 
     // Send appropriate error response to client
     if (!res.headersSent) {
         // Distinguish between connection errors and other issues if possible
-        const statusCode = (err.code === 'ECONNREFUSED' || err.code === 'ETIMEDOUT' || err.code === 'ENOTFOUND') ? 502 : 500;
+        let statusCode = (err.code === 'ECONNREFUSED' || err.code === 'ENOTFOUND') ? 502 : 500;
+        if (timedOut) statusCode = 504;
         res.writeHead(statusCode, { 'Content-Type': 'text/plain' });
-        res.end(`Proxy Error: ${statusCode === 502 ? 'Bad Gateway' : 'Internal Server Error'}`);
+        res.end(`Proxy Error: ${http.STATUS_CODES[statusCode]}`);
     } else {
-        // If headers already sent, we can only abruptly end the connection
+        // If headers already sent, we can only abruptly end the stream or connection
+        abortResponse(req, res);
+    }
+}
+
+// Fallback for anything proxied without a per-call callback
+proxy.on('error', handleProxyError);
+
+// --- Retries ---
+// A failed attempt is retried on a different backend when nothing has been sent to the client
+// yet and replaying the request is safe: always if the connection to the backend never came up,
+// otherwise only for idempotent methods. Attempts, the overall deadline and the retry budget
+// keep retries from piling up while backends are down.
+const IDEMPOTENT_METHODS = new Set(['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE', 'TRACE']);
+const RETRYABLE_ERRORS = new Set(['ECONNREFUSED', 'ECONNRESET', 'EHOSTUNREACH', 'ENETUNREACH', 'EPIPE', 'ENOTFOUND', 'EAI_AGAIN', 'TIMEOUT', 'CONNECT_TIMEOUT']);
+const retryBudget = new RetryBudget(config.retry.budget);
+
+function retryRequest(req, res, context, errorCode) {
+    if (!config.retry.enabled || res.headersSent || req.socket.destroyed) return false;
+    if (context.attempt >= config.retry.maxAttempts || !RETRYABLE_ERRORS.has(errorCode)) return false;
+    if (!context.body) return false; // Streamed (too large to buffer), can't be replayed
+    if (context.connected && !IDEMPOTENT_METHODS.has(req.method)) return false;
+    // Moving a pinned client is exactly what failover 'fail' rules out
+    if (context.stickySessionId === context.targetServer.id && context.settings.stickySession.failover === 'fail') return false;
+
+    if (Date.now() >= context.deadlineAt) {
+        retriesSkippedTotal.inc({ reason: 'deadline' });
+        return false;
+    }
+    const failedServer = context.targetServer;
+    const nextServer = context.pool.selectServer(null, context.hashKey, context.triedServerIds);
+    if (!nextServer) {
+        retriesSkippedTotal.inc({ reason: 'no_backend' });
+        return false;
+    }
+    if (!retryBudget.tryAcquire()) {
+        retriesSkippedTotal.inc({ reason: 'budget' });
+        console.warn(`[${process.pid}] Retry budget exhausted, not retrying ${req.method} ${req.url}`);
+        return false;
+    }
+
+    console.log(`[${process.pid}] Retrying ${req.method} ${req.url} on ${nextServer.id} after ${errorCode} from ${failedServer.id} (attempt ${context.attempt + 1}/${config.retry.maxAttempts})`);
+    retriesTotal.inc({ backend: failedServer.id, code: errorCode });
+    context.pool.decrementConnections(failedServer.id);
+    context.pool.incrementConnections(nextServer.id);
+    Object.assign(context, {
+        targetServer: nextServer,
+        attempt: context.attempt + 1,
+        outcomeRecorded: false,
+        timedOut: false,
+        connectTimedOut: false,
+        connected: false,
+        proxyReq: null,
+    });
+    context.triedServerIds.add(nextServer.id);
+    setStickyPin(res, context, nextServer);
+    proxyAttempt(req, res, context);
+    return true;
+}
+
+// Reads the request body into memory (up to `limit` bytes) so it can be replayed on a retry.
+// Calls back with (body) once buffered, or (null, stream) for bodies over the limit: the stream
+// replays what was already read followed by the rest of the request and can be sent only once.
+function bufferRequestBody(req, limit, callback) {
+    const contentLength = parseInt(req.headers['content-length'] || '0', 10);
+    if (!req.headers['transfer-encoding'] && !(contentLength > 0)) {
+        callback(Buffer.alloc(0));
+        return;
+    }
+    if (contentLength > limit) {
+        callback(null, req);
+        return;
+    }
+
+    const chunks = [];
+    let size = 0;
+    const onData = (chunk) => {
+        size += chunk.length;
+        chunks.push(chunk);
+        if (size <= limit) return;
+        // Chunked body that turned out too large: stop buffering and stream the rest
+        req.pause();
+        req.off('data', onData);
+        req.off('end', onEnd);
+        const stream = new PassThrough();
+        chunks.forEach(buffered => stream.write(buffered));
+        req.pipe(stream);
+        callback(null, stream);
+    };
+    const onEnd = () => callback(Buffer.concat(chunks, size));
+    req.on('data', onData);
+    req.on('end', onEnd);
+}
+
+// --- Client Limits ---
+// Oversized requests and slow clients (slowloris) are cut off before they can tie up backend
+// connections: headers over maxHeaderSize (431) or not in within headersTimeout (408) are
+// refused by the HTTP/1.1 parser (see setupClientLimits), bodies over maxBodySize get 413 and
+// bodies not in within bodyTimeout of the request's start 408. The rest of a refused body
+// isn't read: the connection is closed (HTTP/2: just the stream).
+const clientLimits = config.clientLimits;
+
+// Pseudo-headers (the request line) included, as HTTP/1.1 counts it
+const headerSize = req => req.rawHeaders.reduce((sum, part) => sum + part.length, 0);
+
+const hasBody = req => req.headers['transfer-encoding'] !== undefined || parseInt(req.headers['content-length'] || '0', 10) > 0;
+
+// Answers `status` (unless the response has started already, which then is cut off) and
+// cancels the backend request if there is one
+function rejectRequest(req, res, status, reason, message) {
+    clientLimitsTotal.inc({ reason });
+    console.warn(`[${process.pid}] Refusing ${req.method} ${req.url} from ${clientIp(req)} with ${status} (${reason})`);
+    const context = requestContexts.get(req);
+    if (context) {
+        context.rejected = true;
+        if (context.proxyReq) context.proxyReq.destroy();
+    }
+    if (res.headersSent) {
+        abortResponse(req, res);
+        return;
+    }
+    if (!isHttp2(req)) res.setHeader('Connection', 'close');
+    res.writeHead(status, { 'Content-Type': 'text/plain' });
+    // After a complete response, RST_STREAM with NO_ERROR tells an h2 client to stop sending
+    res.end(`${http.STATUS_CODES[status]}: ${message}`, () => {
+        if (isHttp2(req)) res.stream.close(http2.constants.NGHTTP2_NO_ERROR);
+    });
+}
+
+// A Content-Length over maxBodySize is refused before anything is read; bodies without one
+// (chunked, HTTP/2) as soon as they grow past it. Returns false if the request was refused.
+function limitBodySize(req, res) {
+    const { maxBodySize } = clientLimits;
+    if (!maxBodySize) return true;
+    const message = `The request body exceeds ${maxBodySize} bytes.`;
+    if (parseInt(req.headers['content-length'] || '0', 10) > maxBodySize) {
+        rejectRequest(req, res, 413, 'body_size', message);
+        return false;
+    }
+    if (req.headers['transfer-encoding'] === undefined) return true; // The parser holds it to its Content-Length
+    let size = 0;
+    const onData = (chunk) => {
+        size += chunk.length;
+        if (size <= maxBodySize) return;
+        req.off('data', onData);
+        if (!res.writableEnded) rejectRequest(req, res, 413, 'body_size', message);
+    };
+    req.on('data', onData);
+    return true;
+}
+
+// The whole body has to be in within bodyTimeout of the request's start, however slowly it trickles
+function limitBodyTime(req, res) {
+    if (!clientLimits.bodyTimeout || !hasBody(req)) return;
+    const timer = setTimeout(() => {
+        if (!req.complete && !res.writableEnded) rejectRequest(req, res, 408, 'body_timeout', 'The request body was not received in time.');
+    }, clientLimits.bodyTimeout);
+    req.once('end', () => clearTimeout(timer));
+    res.once('close', () => clearTimeout(timer));
+}
+
+// Header limits, the idle keep-alive timeout and `Expect: 100-continue` for a server proxying
+// with `handler`. 100 Continue is only sent once a request has passed the limits and is about
+// to be forwarded (see forwardRequest); a refused client doesn't send its body at all.
+function setupClientLimits(server, handler) {
+    server.maxHeaderSize = clientLimits.maxHeaderSize;
+    server.headersTimeout = clientLimits.headersTimeout;
+    server.requestTimeout = 0; // Bodies have bodyTimeout, which covers HTTP/2 streams too
+    server.keepAliveTimeout = clientLimits.keepAliveTimeout;
+    server.connectionsCheckingInterval = Math.min(1000, clientLimits.headersTimeout); // Node only checks every 30s otherwise
+    server.on('checkContinue', handler);
+    // Requests the parser refused; answered the way Node would, but counted
+    server.on('clientError', (err, socket) => {
+        let status = 400;
+        if (err.code === 'HPE_HEADER_OVERFLOW') {
+            status = 431;
+            clientLimitsTotal.inc({ reason: 'header_size' });
+        } else if (err.code === 'ERR_HTTP_REQUEST_TIMEOUT') {
+            status = 408;
+            clientLimitsTotal.inc({ reason: 'header_timeout' });
+        }
+        if (err.code === 'ECONNRESET' || !socket.writable) {
+            socket.destroy();
+            return;
+        }
+        socket.end(`HTTP/1.1 ${status} ${http.STATUS_CODES[status]}\r\nConnection: close\r\n\r\n`, () => socket.destroy());
+    });
+}
+
+// --- Consistent Hash Key ---
+// Extracts the value CONSISTENT_HASH routes on. Returns null when the request doesn't carry it
+// (missing header/cookie), in which case the pool falls back to round robin.
+function getHashKey(req, hashSettings) {
+    const { keySource, keyName } = hashSettings;
+    switch (keySource) {
+        case 'header':
+            return req.headers[keyName.toLowerCase()] || null;
+        case 'cookie':
+            return cookie.parse(req.headers.cookie || '')[keyName] || null;
+        case 'path':
+            return req.url.split('?')[0];
+        case 'ip':
+        default:
+            return clientIp(req) || null;
+    }
+}
+
+// --- Sticky Sessions ---
+// The client carries a signed token naming its backend (see stickyTokens.js): in a cookie of
+// ours, in a header it sends back, or prefixed to the application's own session cookie.
+const stickyTokens = new StickyTokens(config.stickyTokens);
+const APP_COOKIE_SEPARATOR = '~'; // appCookie mode: '<token>~<application value>'
+
+// appCookie mode: takes the balancer's token off the application's cookie, so the backend
+// gets its own value back
+function takeAppCookieToken(req, cookieName) {
+    if (!req.headers.cookie) return null;
+    let token = null;
+    req.headers.cookie = req.headers.cookie.split(';').map((pair) => {
+        const separator = pair.indexOf('=');
+        if (separator === -1 || pair.slice(0, separator).trim() !== cookieName) return pair;
+        const value = pair.slice(separator + 1).trim();
+        const end = value.indexOf(APP_COOKIE_SEPARATOR);
+        if (end === -1 || !TOKEN_PATTERN.test(value.slice(0, end))) return pair;
+        token = value.slice(0, end);
+        return `${pair.slice(0, separator + 1)}${value.slice(end + 1)}`;
+    }).join(';');
+    return token;
+}
+
+// { serverId, expiresAt } of the client's pin, or null. A token that doesn't verify (forged,
+// expired, signed with a retired key, for another pool or a backend that's gone) is ignored
+// like a missing one.
+function readStickyPin(req, poolName, sticky, pool) {
+    let token;
+    if (sticky.mode === 'header') {
+        token = req.headers[sticky.headerName.toLowerCase()];
+        delete req.headers[sticky.headerName.toLowerCase()]; // Of no use to the backends
+    } else if (sticky.mode === 'appCookie') {
+        token = takeAppCookieToken(req, sticky.appCookieName);
+    } else {
+        token = cookie.parse(req.headers.cookie || '')[sticky.cookieName];
+    }
+    return token ? stickyTokens.verify(poolName, token, pool.servers.map(server => server.id)) : null;
+}
+
+// Pins the client to `targetServer` unless it already is (a pin past half its ttl is renewed).
+// With failover 'fail' or 'keep' an existing pin stays. In appCookie mode pins only go out
+// with the application's cookie, see tagAppCookie().
+function setStickyPin(res, routing, targetServer) {
+    const { stickySession } = routing.settings;
+    if (!stickySession.enabled || stickySession.mode === 'appCookie') return;
+    if (routing.stickySessionId === targetServer.id) {
+        if (routing.stickyExpiresAt - Date.now() > stickySession.ttl / 2) return;
+    } else if (routing.stickySessionId && stickySession.failover !== 'repin') {
+        return;
+    }
+    const token = stickyTokens.issue(routing.poolName, targetServer.id, stickySession.ttl);
+    if (stickySession.mode === 'header') res.setHeader(stickySession.headerName, token);
+    else res.setHeader('Set-Cookie', cookie.serialize(stickySession.cookieName, token, stickySession.cookieOptions));
+}
+
+// appCookie mode: whichever backend sets the application's session cookie is the one its
+// session lives on, so the cookie gets a token for that backend
+function tagAppCookie(proxyRes, context) {
+    const { stickySession } = context.settings;
+    const setCookies = proxyRes.headers['set-cookie'];
+    if (!stickySession.enabled || stickySession.mode !== 'appCookie' || !setCookies) return;
+    const prefix = `${stickySession.appCookieName}=`;
+    proxyRes.headers['set-cookie'] = setCookies.map((line) => {
+        if (!line.startsWith(prefix) || line.startsWith(`${prefix};`) || line === prefix) return line; // Not it, or being deleted
+        const token = stickyTokens.issue(context.poolName, context.targetServer.id, stickySession.ttl);
+        return `${prefix}${token}${APP_COOKIE_SEPARATOR}${line.slice(prefix.length)}`;
+    });
+}
+
+// Failover 'fail': a client pinned to a backend that can't take the request gets a 503
+// instead of being moved
+function stickyFailoverRefused(routing) {
+    const { stickySessionId, settings, pool } = routing;
+    if (!stickySessionId || settings.stickySession.failover !== 'fail') return false;
+    const pinned = pool.getServerById(stickySessionId);
+    return Boolean(pinned) && !pool.isSelectable(pinned);
+}
+
+// --- Routing ---
+// Applies the routing rules (rewriting req.url if the matched rule says so) and reads the
+// sticky pin for the chosen pool. Pools are per worker and always in sync with the router,
+// so the default pool is only a safety net. null if the path is refused (see router.js).
+function resolveRouting(req) {
+    const routed = router.route(req);
+    if (!routed) return null;
+    const { pool: routedPool, route, url } = routed;
+    req.url = url;
+    const poolName = pools.get(routedPool) ? routedPool : DEFAULT_POOL;
+    const settings = pools.getSettings(poolName);
+    const pool = pools.get(poolName);
+
+    const pin = settings.stickySession.enabled ? readStickyPin(req, poolName, settings.stickySession, pool) : null;
+    const hashKey = pool.algorithm === 'CONSISTENT_HASH' ? getHashKey(req, settings.consistentHash) : null;
+    return { poolName, route, pool, settings, stickySessionId: pin?.serverId ?? null, stickyExpiresAt: pin?.expiresAt ?? null, hashKey };
+}
+
+// --- Access Policies ---
+// Routes with an access policy (see accessPolicy.js) only let in the client addresses and
+// credentials it accepts. The headers it forwards (user name, token claims) always replace
+// whatever the client sent under those names.
+const authenticatedUsers = new WeakMap(); // req -> Basic auth user or token subject, for the access log
+
+// Resolves to null if the matched route lets the request through (with the policy's headers
+// set for the backend), otherwise to the refusal: { status, message, headers }
+async function checkAccess(req, routing) {
+    const policy = routing.route.access;
+    policy.headerNames.forEach(name => delete req.headers[name]);
+    const result = await policy.check(req.headers.authorization, clientIp(req));
+    if (result.allowed) {
+        if (result.user !== null) authenticatedUsers.set(req, result.user);
+        Object.assign(req.headers, result.headers);
+        return null;
+    }
+    accessDeniedTotal.inc({ route: routing.route.id, reason: result.reason });
+    console.warn(`[${process.pid}] Access denied to ${req.method} ${req.url} from ${clientIp(req)} on route ${routing.route.id} with ${result.status} (${result.reason}: ${result.detail})`);
+    const headers = {};
+    if (result.challenges) headers['WWW-Authenticate'] = result.challenges.join(', ');
+    if (result.retryAfterSeconds) headers['Retry-After'] = result.retryAfterSeconds;
+    return { status: result.status, message: `${http.STATUS_CODES[result.status]}: ${result.message}`, headers };
+}
+
+// Calls next() if the request may go on, otherwise answers 401 or 403
+function authorizeRequest(req, res, routing, next) {
+    if (!routing.route?.access) {
+        next();
+        return;
+    }
+    checkAccess(req, routing).then((refusal) => {
+        if (res.closed) return;
+        if (!refusal) {
+            next();
+            return;
+        }
+        res.writeHead(refusal.status, { ...refusal.headers, 'Content-Type': 'text/plain' });
+        res.end(refusal.message);
+    }).catch(err => failRequest(req, res, err));
+}
+
+// Credentials and JWKS files are re-read on SIGHUP (and with every config reload, which
+// recompiles the routes); a bad file keeps the current one
+function reloadAccessFiles() {
+    router.reloadAccessFiles().forEach((error) => {
+        console.error(`[${process.pid}] Access policy reload failed, keeping the current files: ${error}`);
+    });
+}
+
+// --- Rate Limiting ---
+// Buckets live in the master so limits hold across workers; see rateLimiter.js
+const rateLimitClient = new RateLimitClient(msg => sendToMaster(msg), config.rateLimit.checkTimeout);
+
+// The matched route's own limit merged over the global one, or null if the request is exempt
+function getRateLimitPolicy(req, routing) {
+    const routeLimit = routing.route ? routing.route.rateLimit : undefined;
+    if (routeLimit === false) return null;
+    const limit = routeLimit ? { ...config.rateLimit, enabled: true, ...routeLimit } : config.rateLimit;
+    if (!limit.enabled || !process.send) return null;
+
+    let key;
+    if (limit.keySource === 'route') {
+        key = ''; // Everyone on the route (or the whole balancer, for the global limit) shares a bucket
+    } else if (limit.keySource === 'header' && req.headers[limit.keyName.toLowerCase()]) {
+        key = `header:${req.headers[limit.keyName.toLowerCase()]}`;
+    } else {
+        key = `ip:${clientIp(req)}`; // Also for clients that don't send the key header
+    }
+    return {
+        scope: routeLimit ? `route:${routing.route.id}` : 'global',
+        key,
+        rate: limit.rate,
+        burst: limit.burst,
+        maxConcurrent: limit.maxConcurrentPerClient,
+    };
+}
+
+// RateLimit-* as in the IETF draft (ratelimit-headers): bucket size, tokens left, seconds to full
+function rateLimitHeaders(result) {
+    if (result.limit === null || result.limit === undefined) return {};
+    return { 'RateLimit-Limit': result.limit, 'RateLimit-Remaining': result.remaining, 'RateLimit-Reset': result.resetSeconds };
+}
+
+function setRateLimitHeaders(res, result) {
+    Object.entries(rateLimitHeaders(result)).forEach(([name, value]) => res.setHeader(name, value));
+}
+
+const rateLimitMessage = result => (result.reason === 'concurrency'
+    ? 'Too Many Requests: too many concurrent requests from this client.'
+    : 'Too Many Requests: rate limit exceeded.');
+
+// Calls next() if the client is within its limits, otherwise answers 429
+function limitRequest(req, res, routing, next) {
+    const policy = getRateLimitPolicy(req, routing);
+    if (!policy) {
+        next();
+        return;
+    }
+    rateLimitClient.acquire(policy).then((result) => {
+        if (policy.maxConcurrent > 0) {
+            // Release the concurrency slot when the response is over (or right away if the
+            // client left while we were waiting for the master)
+            if (res.closed) rateLimitClient.release(result.requestId);
+            else res.once('close', () => rateLimitClient.release(result.requestId));
+        }
+        if (res.closed) return;
+
+        setRateLimitHeaders(res, result);
+        if (result.allowed) {
+            next();
+            return;
+        }
+        rateLimitedTotal.inc({ pool: routing.poolName, reason: result.reason });
+        res.writeHead(429, { 'Content-Type': 'text/plain', 'Retry-After': result.retryAfterSeconds });
+        res.end(rateLimitMessage(result));
+    }).catch(err => failRequest(req, res, err));
+}
+
+// The same check for WebSocket upgrades; an open WebSocket holds its concurrency slot
+function limitUpgrade(req, socket, routing, next) {
+    const policy = getRateLimitPolicy(req, routing);
+    if (!policy) {
+        next();
+        return;
+    }
+    rateLimitClient.acquire(policy).then((result) => {
+        if (policy.maxConcurrent > 0) {
+            if (socket.destroyed) rateLimitClient.release(result.requestId);
+            else socket.once('close', () => rateLimitClient.release(result.requestId));
+        }
+        if (socket.destroyed) return;
+
+        if (result.allowed) {
+            next();
+            return;
+        }
+        rateLimitedTotal.inc({ pool: routing.poolName, reason: result.reason });
+        rejectUpgrade(socket, 429, rateLimitMessage(result), { 'Retry-After': result.retryAfterSeconds, ...rateLimitHeaders(result) });
+    }).catch(err => failUpgrade(req, socket, err));
+}
+
+// --- Response Cache ---
+// Per worker and in memory (see responseCache.js). Fresh entries are served without touching
+// a backend; concurrent misses on a URL wait for the first one's response; expired entries
+// bridge backend failures within stale-if-error.
+const responseCache = config.cache.enabled
+    ? new ResponseCache(config.cache, [config.requestIdHeader, config.cache.statusHeader])
+    : null;
+const cacheStatuses = {}; // status -> requests, for the JSON metrics
+
+// The URL after routing rewrites, per pool and host
+const cacheKey = (req, routing) => `${routing.poolName} ${requestHost(req)} ${req.url}`;
+
+function sendCachedResponse(req, res, entry, cacheStatus) {
+    res.setHeader(config.cache.statusHeader, cacheStatus);
+    res.setHeader('Age', Math.floor(responseCache.age(entry) / 1000));
+    if (isNotModified(req.headers, entry)) {
+        ['etag', 'last-modified', 'cache-control', 'expires', 'vary', 'date'].forEach((name) => {
+            if (entry.headers[name] !== undefined) res.setHeader(name, entry.headers[name]);
+        });
+        res.writeHead(304);
         res.end();
+        return;
     }
-});
+    Object.entries(entry.headers).forEach(([name, value]) => res.setHeader(name, value));
+    if (entry.status !== 204) res.setHeader('Content-Length', entry.body.length);
+    res.writeHead(entry.status);
+    res.end(req.method === 'HEAD' ? undefined : entry.body);
+}
+
+// Answers the request from the cache, or calls next() to proxy it. A proxied request gets
+// routing.cache = { key, entry (expired, or null), store, validating } for the response handler.
+function serveFromCache(req, res, routing, next, collapsed = false) {
+    if (!responseCache || (req.method !== 'GET' && req.method !== 'HEAD')) {
+        next();
+        return;
+    }
+    // Credentials and ranges are the backend's business, and routes can opt out
+    if ((routing.route && !routing.route.cache) || req.headers.authorization || req.headers.range) {
+        res.setHeader(config.cache.statusHeader, 'BYPASS');
+        next();
+        return;
+    }
+
+    const key = cacheKey(req, routing);
+    const entry = responseCache.get(key, req.headers);
+    const state = entry ? responseCache.state(entry) : null;
+    if (state === 'fresh') {
+        sendCachedResponse(req, res, entry, 'HIT');
+        return;
+    }
+    if (state === 'stale') {
+        // stale-while-revalidate: this client gets the old response, the next ones the new one
+        sendCachedResponse(req, res, entry, 'STALE');
+        revalidateInBackground(req, routing, key, entry);
+        return;
+    }
+
+    // Miss (or expired): only one request per URL goes to the backend at a time
+    if (req.method === 'GET' && !collapsed) {
+        if (!responseCache.lead(key)) {
+            responseCache.follow(key, config.cache.collapseTimeout, () => {
+                if (!res.closed) serveFromCache(req, res, routing, next, true);
+            });
+            return;
+        }
+        res.once('close', () => responseCache.settle(key));
+    }
+
+    // An expired entry with validators is revalidated on the way, unless the client sent
+    // conditions of its own (then the backend's answer to those goes back as it is)
+    const validating = Boolean(entry && (entry.headers.etag || entry.headers['last-modified']) && !hasConditionalHeaders(req.headers));
+    if (validating) Object.assign(req.headers, revalidationHeaders({}, entry));
+    routing.cache = { key, entry, store: req.method === 'GET', validating };
+    res.setHeader(config.cache.statusHeader, entry ? 'EXPIRED' : 'MISS');
+    next();
+}
+
+// With stale-if-error, an expired entry stands in for a failed backend or a pool without one
+function serveStaleOnError(req, res, cache) {
+    if (res.headersSent || !cache.entry || !responseCache.usableOnError(cache.entry)) return false;
+    console.warn(`[${process.pid}] Serving stale ${req.url} from the cache, backends failed`);
+    sendCachedResponse(req, res, cache.entry, 'STALE');
+    return true;
+}
+
+// Backend response to a request the cache looked up (proxied with selfHandleResponse):
+// streamed to the client and stored if cacheable, unless it's a 304 to our revalidation
+// (the refreshed entry is served) or a 5xx that stale-if-error lets us hide
+function handleCacheableResponse(proxyRes, req, res, cache) {
+    if (res.headersSent || res.destroyed) {
+        proxyRes.resume();
+        return;
+    }
+    if (cache.validating && proxyRes.statusCode === 304) {
+        proxyRes.resume();
+        delete req.headers['if-none-match'];
+        delete req.headers['if-modified-since'];
+        sendCachedResponse(req, res, responseCache.refresh(cache.key, req.headers, cache.entry, proxyRes.headers), 'REVALIDATED');
+        return;
+    }
+    if (proxyRes.statusCode >= 500 && serveStaleOnError(req, res, cache)) {
+        proxyRes.resume();
+        return;
+    }
+
+    // What http-proxy does with the response when it handles it itself
+    Object.values(webOutgoing).some(pass => pass(req, res, proxyRes, {}));
+    res.setHeader(config.cache.statusHeader, cache.entry ? 'EXPIRED' : 'MISS'); // The backend may send its own
+
+    const contentLength = parseInt(proxyRes.headers['content-length'] || '0', 10);
+    if (cache.store && contentLength <= config.cache.maxEntrySize && responseCache.isStorable(proxyRes.statusCode, proxyRes.headers)) {
+        // Copy the body aside while it streams to the client; given up past maxEntrySize
+        let chunks = [];
+        let size = 0;
+        proxyRes.on('data', (chunk) => {
+            if (!chunks) return;
+            size += chunk.length;
+            if (size > config.cache.maxEntrySize) chunks = null;
+            else chunks.push(chunk);
+        });
+        proxyRes.on('end', () => {
+            if (chunks && proxyRes.complete) {
+                responseCache.store(cache.key, req.headers, proxyRes.statusCode, proxyRes.headers, Buffer.concat(chunks, size));
+            }
+        });
+    }
+    proxyRes.pipe(res);
+}
+
+// stale-while-revalidate: refreshes `entry` with a conditional request of our own, outside
+// any client request (counted against the backend's connections like one)
+function revalidateInBackground(req, routing, key, entry) {
+    if (!responseCache.startRevalidation(key)) return;
+    const { pool, hashKey } = routing;
+    const server = pool.selectServer(null, hashKey);
+    if (!server) {
+        responseCache.endRevalidation(key);
+        return;
+    }
+    pool.incrementConnections(server.id);
+    const requestHeaders = { ...req.headers };
+    let finished = false;
+    const finish = (outcome, reason) => {
+        if (finished) return;
+        finished = true;
+        pool.recordOutcome(server.id, outcome, reason);
+        pool.decrementConnections(server.id);
+        responseCache.endRevalidation(key);
+    };
+
+    const upstreamReq = (server.protocol === 'https' ? https : http).request({
+        host: server.host,
+        port: server.port,
+        method: 'GET',
+        path: req.url,
+        headers: rewriteRequestHeaders(req, routing, server, revalidationHeaders(requestHeaders, entry)),
+        agent: upstreamAgents.agentFor(server),
+        timeout: config.proxyTimeout,
+    });
+    upstreamReq.on('response', (upstreamRes) => {
+        const chunks = [];
+        let size = 0;
+        upstreamRes.on('data', (chunk) => {
+            size += chunk.length;
+            if (size <= config.cache.maxEntrySize) chunks.push(chunk);
+        });
+        upstreamRes.on('end', () => {
+            if (upstreamRes.statusCode === 304) {
+                responseCache.refresh(key, requestHeaders, entry, upstreamRes.headers);
+            } else if (upstreamRes.complete && size <= config.cache.maxEntrySize) {
+                responseCache.store(key, requestHeaders, upstreamRes.statusCode, upstreamRes.headers, Buffer.concat(chunks, size));
+            }
+            finish(upstreamRes.statusCode >= 500 ? 'failure' : 'success', `Status: ${upstreamRes.statusCode}`);
+        });
+        upstreamRes.on('error', err => finish('failure', `Proxy Error: ${err.code || 'Unknown'}`));
+    });
+    upstreamReq.on('timeout', () => {
+        upstreamReq.destroy();
+        finish('timeout', 'Proxy Error: Timeout');
+    });
+    upstreamReq.on('error', (err) => {
+        console.warn(`[${process.pid}] Background revalidation of ${req.url} on ${server.id} failed: ${err.code || err.message}`);
+        finish('failure', `Proxy Error: ${err.code || 'Unknown'}`);
+    });
+    upstreamReq.end();
+}
 
 // --- Main HTTP/HTTPS Server Logic ---
+// Sends the current attempt to context.targetServer
+function proxyAttempt(req, res, context) {
+    const { targetServer, attempt } = context;
+    const options = {
+        target: `${targetServer.protocol === 'https' ? 'https' : 'http'}://${targetServer.host}:${targetServer.port}`,
+        agent: upstreamAgents.agentFor(targetServer), // Also carries the upstream TLS settings
+        // Host policy and header rules on top of the client's headers. The client's
+        // `Connection: close` is about its own connection, not the pooled one.
+        headers: rewriteRequestHeaders(req, context, targetServer, config.upstream.keepAlive ? { connection: 'keep-alive' } : {}),
+    };
+    // Responses the cache may store (or replace with a stale entry) are written by handleCacheableResponse
+    if (context.cache) options.selfHandleResponse = true;
+    if (config.retry.enabled) {
+        // Each try gets its own timeout, cut short by whatever is left of the deadline
+        options.proxyTimeout = Math.max(1, Math.min(config.retry.perTryTimeout, context.deadlineAt - Date.now()));
+        options.buffer = context.body ? Readable.from(context.body.length ? [context.body] : []) : context.bodyStream;
+    }
+    context.upstreamStart = process.hrtime.bigint();
+    context.upstreamConnectMs = null;
+    proxy.web(req, res, options, (err, errReq, errRes, target) => {
+        if (context.attempt === attempt) handleProxyError(err, req, res, target);
+    });
+    // A streamed body is counted as it is piped to the backend (only ever sent once)
+    if (!context.body && attempt === 1) {
+        (options.buffer || req).on('data', (chunk) => {
+            context.bytesIn += chunk.length;
+        });
+    }
+}
+
+// Last resort for an error thrown on the way to the backend (asynchronous steps would
+// otherwise turn it into an unhandled rejection, which ends the worker)
+function failRequest(req, res, err) {
+    console.error(`[${process.pid}] Error handling ${req.method} ${req.url}:`, err);
+    if (res.headersSent) {
+        abortResponse(req, res);
+    } else if (!res.writableEnded) {
+        res.writeHead(500, { 'Content-Type': 'text/plain' });
+        res.end('Internal Server Error');
+    }
+}
+
+// --- Request IDs ---
+// The client's ID is kept if it looks sane, otherwise a new one is generated. It is
+// forwarded to the backend and echoed in the response (if there is one, i.e. not for upgrades).
+const REQUEST_ID_PATTERN = /^[\w.:/+=@-]{1,128}$/;
+
+function assignRequestId(req, res) {
+    const header = config.requestIdHeader;
+    const incoming = req.headers[header];
+    const requestId = typeof incoming === 'string' && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+    req.headers[header] = requestId;
+    if (res) res.setHeader(header, requestId);
+    return requestId;
+}
+
+// --- Forwarded Headers and Header Rules ---
+// Forwarding headers are rewritten as a request comes in, according to the trusted proxies;
+// the client address resolved on the way is the one the balancer goes by itself
+const forwardedHeaders = new ForwardedHeaders(config.forwarded);
+const clientAddresses = new WeakMap(); // req -> client address
+
+const clientIp = req => clientAddresses.get(req) ?? req.socket.remoteAddress;
+
+let globalHeaderRules = compileHeaderRules(config.headers);
+
+const strictTransportSecurity = config.hsts.maxAge > 0
+    ? [`max-age=${config.hsts.maxAge}`, config.hsts.includeSubDomains && 'includeSubDomains', config.hsts.preload && 'preload'].filter(Boolean).join('; ')
+    : null;
+
+// Values for the ${...} variables of header rules
+function headerVariables(req, routing, targetServer) {
+    return {
+        clientIp: clientIp(req),
+        requestId: req.headers[config.requestIdHeader],
+        host: req.headers.host,
+        method: req.method,
+        scheme: req.socket.encrypted ? 'https' : 'http',
+        pool: routing?.poolName,
+        route: routing?.route?.id,
+        backend: targetServer?.id,
+    };
+}
+
+// Global rules, then the matched route's
+function headerRulesFor(routing, section) {
+    const routeRules = routing?.route ? routing.route.headers[section] : [];
+    return routeRules.length ? [...globalHeaderRules[section], ...routeRules] : globalHeaderRules[section];
+}
+
+// Host header policy and request rules for one attempt on `targetServer`. Values go into
+// `overlay` (the attempt's own headers, as they may name the backend); removals apply to the
+// request itself. Returns `overlay`.
+function rewriteRequestHeaders(req, routing, targetServer, overlay) {
+    const hostPolicy = routing.route?.hostHeader ?? config.hostHeader;
+    if (hostPolicy === 'backend') {
+        const host = targetServer.host.includes(':') ? `[${targetServer.host}]` : targetServer.host;
+        const defaultPort = targetServer.protocol === 'https' ? 443 : 80;
+        overlay.host = Number(targetServer.port) === defaultPort ? host : `${host}:${targetServer.port}`;
+    } else if (hostPolicy !== 'preserve') {
+        overlay.host = hostPolicy;
+    }
+    const rules = headerRulesFor(routing, 'request');
+    if (rules.length) applyHeaderRules(rules, requestHeaderTarget(req.headers, overlay), headerVariables(req, routing, targetServer));
+    return overlay;
+}
+
+// Response rules (and HSTS) run right before the headers go out, so they apply however the
+// response came about: proxied, from the cache or written by the balancer itself
+function rewriteResponseHeaders(req, res, routing) {
+    if (strictTransportSecurity && req.socket.encrypted) res.setHeader('Strict-Transport-Security', strictTransportSecurity);
+    const rules = headerRulesFor(routing, 'response');
+    if (rules.length) applyHeaderRules(rules, responseHeaderTarget(res), headerVariables(req, routing, requestContexts.get(req)?.targetServer));
+}
+
+// --- Access Log ---
+// One JSON line per request, shipped to the master in batches (see accessLog.js)
+const accessLogger = config.accessLog.enabled && process.send
+    ? new AccessLogger(sendToMaster, config.accessLog)
+    : null;
+
+// Milliseconds since an hrtime.bigint() timestamp (or between two), to 0.1ms
+function elapsedMs(from, to = process.hrtime.bigint()) {
+    return Math.round(Number(to - from) / 1e5) / 10;
+}
+
+function logAccess(req, res, details) {
+    const { requestId, receivedAt, startedAt, url, bytesWrittenBefore, bytesOut, routing } = details;
+    const context = requestContexts.get(req);
+    const stickySessionId = routing?.stickySessionId;
+    accessLogger.log({
+        time: receivedAt.toISOString(),
+        pid: process.pid,
+        requestId,
+        clientIp: clientIp(req), // Resolved through trusted proxies
+        user: authenticatedUsers.get(req) ?? null, // Basic auth user or token subject, on routes with an access policy
+        method: req.method,
+        protocol: `HTTP/${req.httpVersion}`,
+        url, // As received, before any rewrite by the route
+        pool: routing?.poolName ?? null,
+        route: routing?.route?.id ?? null,
+        backend: context?.targetServer.id ?? null,
+        attempts: context?.attempt ?? 0,
+        stickyHonoured: stickySessionId && context ? stickySessionId === context.targetServer.id : null, // null: no valid sticky token sent
+        status: responseCompleted(req, res) ? res.statusCode : null, // null: client went away first (or the response was cut off)
+        bytesIn: context ? (context.body ? context.body.length : context.bytesIn) : 0, // Request body
+        bytesOut: bytesOut ?? req.socket.bytesWritten - bytesWrittenBefore, // Response as sent, headers included (HTTP/2: body only)
+        upstreamConnectMs: context?.upstreamConnectMs ?? null, // Last attempt; 0 for a reused connection
+        ttfbMs: context?.responseStart ? elapsedMs(startedAt, context.responseStart) : null, // Until the backend's response headers
+        durationMs: elapsedMs(startedAt),
+    }, routing?.route?.accessLogSampleRate);
+}
+
+// --- Client Certificates (mutual TLS) ---
+// Details of the verified (or, with clientAuth 'optional', presented) client certificate for
+// the backend. Whatever the client sent in these headers itself is always dropped.
+const CLIENT_CERT_HEADERS = ['x-client-cert-verified', 'x-client-cert-subject', 'x-client-cert-issuer', 'x-client-cert-serial', 'x-client-cert-fingerprint'];
+
+// Distinguished names are multi-line and may hold non-ASCII characters; headers can't
+const headerSafe = value => value.replace(/\n/g, ', ').replace(/[^\x20-\x7e]/g, char => encodeURIComponent(char));
+
+function setClientCertHeaders(req) {
+    CLIENT_CERT_HEADERS.forEach(name => delete req.headers[name]);
+    if (!req.socket.encrypted) return;
+    const certificate = req.socket.getPeerX509Certificate();
+    if (!certificate) {
+        req.headers['x-client-cert-verified'] = 'NONE';
+        return;
+    }
+    req.headers['x-client-cert-verified'] = req.socket.authorized ? 'SUCCESS' : `FAILED:${req.socket.authorizationError}`;
+    req.headers['x-client-cert-subject'] = headerSafe(certificate.subject);
+    req.headers['x-client-cert-issuer'] = headerSafe(certificate.issuer);
+    req.headers['x-client-cert-serial'] = certificate.serialNumber;
+    req.headers['x-client-cert-fingerprint'] = certificate.fingerprint256;
+}
+
+// --- HTTP/2 ---
+// Each h2 stream arrives through the compatibility API as a req/res pair and takes the same
+// path as an HTTP/1.1 request (routing, sticky sessions, limits, connection slots, metrics).
+// The differences are translated at the edges: pseudo-headers become what an HTTP/1.1
+// backend expects, connection-specific response headers are dropped, and a response that
+// fails half-way resets its stream rather than the client's connection.
+const HTTP2_PSEUDO_HEADERS = [':authority', ':method', ':path', ':scheme', ':protocol'];
+const HOP_BY_HOP_HEADERS = ['connection', 'keep-alive', 'proxy-connection', 'transfer-encoding', 'upgrade'];
+// RST_STREAM error codes (RFC 9113, section 7) by value
+const HTTP2_ERROR_NAMES = ['NO_ERROR', 'PROTOCOL_ERROR', 'INTERNAL_ERROR', 'FLOW_CONTROL_ERROR', 'SETTINGS_TIMEOUT', 'STREAM_CLOSED', 'FRAME_SIZE_ERROR',
+    'REFUSED_STREAM', 'CANCEL', 'COMPRESSION_ERROR', 'CONNECT_ERROR', 'ENHANCE_YOUR_CALM', 'INADEQUATE_SECURITY', 'HTTP_1_1_REQUIRED'];
+
+const http2Sessions = new Set(); // Open client sessions, sent GOAWAY on shutdown
+
+const isHttp2 = req => req.httpVersionMajor === 2;
+
+// Headers as an HTTP/1.1 backend expects them: :authority is the Host, the other
+// pseudo-headers are gone (req.method and req.url still read them). req.headers has no
+// setter on h2 requests, so the translated copy shadows it.
+function translateHttp2Request(req) {
+    const headers = { ...req.headers };
+    if (headers[':authority']) headers.host = headers[':authority'];
+    HTTP2_PSEUDO_HEADERS.forEach(name => delete headers[name]);
+    // An h2 body is framed by its stream and needn't announce a length; HTTP/1.1 needs one or the other
+    if (!req.stream.endAfterHeaders && headers['content-length'] === undefined) headers['transfer-encoding'] = 'chunked';
+    Object.defineProperty(req, 'headers', { value: headers, writable: true, configurable: true, enumerable: true });
+}
+
+// HTTP/2 has no connection-specific headers (the response would be refused) nor reason phrases
+function prepareHttp2Response(proxyRes) {
+    const listed = String(proxyRes.headers.connection || '').split(',').map(name => name.trim().toLowerCase()).filter(Boolean);
+    [...HOP_BY_HOP_HEADERS, ...listed].forEach(name => delete proxyRes.headers[name]);
+    proxyRes.statusMessage = '';
+}
+
+// A response that can't be completed once its headers are out: h2 resets only its stream,
+// HTTP/1.1 has to drop the connection. Either way the client can tell it's truncated.
+function abortResponse(req, res) {
+    if (isHttp2(req)) res.stream.close(http2.constants.NGHTTP2_INTERNAL_ERROR);
+    else res.destroy();
+}
+
+// Resetting an h2 stream shuts its writable side too, so a finished response may still be a cut-off one
+const responseCompleted = (req, res) => res.writableFinished && !(isHttp2(req) && res.stream.rstCode);
+
+// All streams of a session share its socket's byte count (and headers are compressed), so the
+// access log gets the body bytes of an h2 response as they are written
+function countResponseBytes(res, details) {
+    details.bytesOut = 0;
+    const write = res.write;
+    res.write = (chunk, encoding, ...rest) => {
+        if (chunk) details.bytesOut += typeof chunk === 'string' ? Buffer.byteLength(chunk, typeof encoding === 'string' ? encoding : 'utf8') : chunk.length;
+        return write.call(res, chunk, encoding, ...rest);
+    };
+}
+
+// A session without streams for clientLimits.keepAliveTimeout is closed, like an idle
+// HTTP/1.1 keep-alive connection
+function trackHttp2Session(session) {
+    http2Sessions.add(session);
+    let openStreams = 0;
+    let idleTimer = null;
+    const startIdleTimer = () => {
+        idleTimer = setTimeout(() => session.close(), config.clientLimits.keepAliveTimeout);
+    };
+    session.on('stream', (stream) => {
+        openStreams++;
+        clearTimeout(idleTimer);
+        stream.once('close', () => {
+            if (stream.rstCode) http2StreamResetsTotal.inc({ code: HTTP2_ERROR_NAMES[stream.rstCode] || String(stream.rstCode) });
+            if (--openStreams === 0 && !session.closed) startIdleTimer();
+        });
+    });
+    session.once('close', () => {
+        clearTimeout(idleTimer);
+        http2Sessions.delete(session);
+    });
+    startIdleTimer();
+}
+
+// --- HTTP -> HTTPS Redirect ---
+// With httpsRedirect the HTTP listener redirects everything except ACME HTTP-01 challenges,
+// which are still proxied so certificates can be renewed by a backend.
+const ACME_CHALLENGE_PREFIX = '/.well-known/acme-challenge/';
+
+// null if the Host header is missing or not a plain host name / address
+function httpsLocation(req) {
+    const host = requestHost(req);
+    if (!/^([a-z0-9-]+\.)*[a-z0-9-]+$|^\[[0-9a-f:.]+\]$/.test(host)) return null;
+    const port = config.httpsRedirectPort === 443 ? '' : `:${config.httpsRedirectPort}`;
+    return `https://${host}${port}${req.url}`;
+}
+
+const redirectHandler = (req, res) => {
+    if (req.url.startsWith(ACME_CHALLENGE_PREFIX)) {
+        requestHandler(req, res);
+        return;
+    }
+    const location = httpsLocation(req);
+    if (!location) {
+        res.writeHead(400, { 'Content-Type': 'text/plain' });
+        res.end('Bad Request: missing or invalid Host header.');
+        return;
+    }
+    res.writeHead(301, { Location: location, 'Content-Type': 'text/plain' });
+    res.end(`Moved Permanently: ${location}`);
+};
+
+// Responses in progress, for draining on shutdown
+const activeResponses = new Set();
+let shuttingDown = false;
+
 const requestHandler = (req, res) => {
     requestCounter++;
-    let stickySessionId = null;
+    activeResponses.add(res);
+    requestsByProtocolTotal.inc({ protocol: req.httpVersion });
+    if (isHttp2(req)) translateHttp2Request(req);
+    // Keep-alive connections that send another request while draining get this one answered,
+    // then closed (h2 sessions were sent GOAWAY instead)
+    else if (shuttingDown) res.setHeader('Connection', 'close');
+    clientAddresses.set(req, forwardedHeaders.apply(req));
+    if (config.tls.clientAuth !== 'off') setClientCertHeaders(req);
+    const logDetails = {
+        requestId: assignRequestId(req, res),
+        receivedAt: new Date(),
+        startedAt: process.hrtime.bigint(),
+        url: req.url,
+        bytesWrittenBefore: req.socket.bytesWritten, // Keep-alive sockets carry earlier responses too
+        routing: null,
+    };
+    if (isHttp2(req)) countResponseBytes(res, logDetails);
+    // Every response is sent through writeHead, if only implicitly by the first write
+    const writeHead = res.writeHead;
+    res.writeHead = (...args) => {
+        rewriteResponseHeaders(req, res, logDetails.routing);
+        return writeHead.apply(res, args);
+    };
+
+    // 'close' fires for completed and aborted responses alike
+    res.on('close', () => {
+        activeResponses.delete(res);
+        const context = requestContexts.get(req);
+        requestsTotal.inc({
+            pool: context?.poolName ?? 'none',
+            backend: context?.targetServer.id ?? 'none',
+            method: req.method,
+            status_class: responseCompleted(req, res) ? `${Math.floor(res.statusCode / 100)}xx` : 'aborted',
+        });
+        if (accessLogger) logAccess(req, res, logDetails);
+        const cacheStatus = responseCache && res.getHeader(config.cache.statusHeader);
+        if (cacheStatus) {
+            cacheRequestsTotal.inc({ pool: logDetails.routing?.poolName ?? 'none', status: cacheStatus.toLowerCase() });
+            cacheStatuses[cacheStatus.toLowerCase()] = (cacheStatuses[cacheStatus.toLowerCase()] || 0) + 1;
+        }
+    });
+
+    // HTTP/1.1 parsers refuse oversized headers before there is a request; h2 ones are checked here
+    if (isHttp2(req) && headerSize(req) > clientLimits.maxHeaderSize) {
+        rejectRequest(req, res, 431, 'header_size', 'The request headers are too large.');
+        return;
+    }
+    limitBodyTime(req, res);
+
+    // 1. Pick the pool (routing rules) and handle its sticky session
+    const routing = resolveRouting(req);
+    if (!routing) {
+        rejectRequest(req, res, 400, 'bad_path', 'The request path is malformed or ambiguous.');
+        return;
+    }
+    logDetails.routing = routing;
+
+    // 2. Enforce the client's rate and concurrency limits (which also slow down password guessing)
+    // 3. Check the route's access policy
+    // 4. Answer from the response cache if it can
+    limitRequest(req, res, routing, () => authorizeRequest(req, res, routing, () => serveFromCache(req, res, routing, () => forwardRequest(req, res, routing))));
+};
+
+function forwardRequest(req, res, routing) {
+    // 5. Refuse bodies over the size limit; the others may be sent now
+    if (!limitBodySize(req, res)) return;
+    if (/100-continue/i.test(req.headers.expect || '')) res.writeContinue();
 
-    // 1. Handle Sticky Sessions
-    if (config.stickySession.enabled) {
-        const cookies = cookie.parse(req.headers.cookie || '');
-        stickySessionId = cookies[config.stickySession.cookieName];
-        // Optional: Add validation here if needed (e.g., check format)
+    // 6. Buffer the body so a retry can replay it (before picking a backend, so slow
+    // uploads don't hold a connection slot). Without retries the body is streamed.
+    if (!config.retry.enabled) {
+        routeRequest(req, res, routing, null, null);
+        return;
+    }
+    retryBudget.onRequest();
+    bufferRequestBody(req, config.retry.bufferLimit, (body, bodyStream) => {
+        if (!res.writableEnded) routeRequest(req, res, routing, body, bodyStream); // Not if it grew past maxBodySize
+    });
+}
+
+function routeRequest(req, res, routing, body, bodyStream) {
+    // 7. Select Backend Server
+    const { pool, stickySessionId, hashKey } = routing;
+    if (stickyFailoverRefused(routing)) {
+        console.warn(`[${process.pid}] Backend ${stickySessionId} of a pinned session is unavailable (failover: fail)`);
+        res.writeHead(503, { 'Content-Type': 'text/plain', 'Retry-After': 1 });
+        res.end('Service Unavailable: The backend of this session is unavailable.');
+        return;
     }
+    const targetServer = pool.getNextServer(stickySessionId, hashKey); // Pass sticky ID
 
-    // 2. Select Backend Server
-    const targetServer = serverPool.getNextServer(stickySessionId); // Pass sticky ID
+    if (!targetServer && routing.cache && serveStaleOnError(req, res, routing.cache)) return;
 
+    if (!targetServer && pool.getAvailableServers().length > 0) {
+        // Healthy backends exist, but every one is at its maxConnections
+        console.warn(`[${process.pid}] All backends in pool '${routing.poolName}' are at their connection limit`);
+        res.writeHead(503, { 'Content-Type': 'text/plain', 'Retry-After': 1 });
+        res.end('Service Unavailable: All backend servers are at their connection limit.');
+        return;
+    }
     if (!targetServer) {
-        console.warn(`[${process.pid}] No healthy backend servers available!`);
+        console.warn(`[${process.pid}] No healthy backend servers available in pool '${routing.poolName}'!`);
         res.writeHead(503, { 'Content-Type': 'text/plain' });
         res.end('Service Unavailable: No backend servers are healthy.');
         return;
     }
 
-    const targetUrl = `http://${targetServer.host}:${targetServer.port}`; // Assuming backends are HTTP
-    // console.log(`[${process.pid}] Routing ${req.method} ${req.url} to -> ${targetUrl} (Conn: ${targetServer.activeConnections})`);
-
-    // 3. Set Sticky Session Cookie (if needed)
-    if (config.stickySession.enabled && stickySessionId !== targetServer.id) {
-        // Set cookie if it wasn't present, or if the chosen server changed (e.g., sticky target was down)
-        res.setHeader('Set-Cookie', cookie.serialize(
-            config.stickySession.cookieName,
-            targetServer.id,
-            config.stickySession.cookieOptions
-        ));
-         // console.log(`[${process.pid}] Setting sticky cookie for ${targetServer.id}`);
-    }
-
-    // 4. Proxy the Request
-    proxy.web(req, res, {
-        target: targetUrl,
-        // Useful options:
-        // secure: false, // Set to false if backend uses self-signed certs (use with caution)
-        // changeOrigin: true, // Changes the 'Host' header to the target URL's host
-    }, (err) => {
-        // Error handling specific to *this* proxy attempt (handled by the global proxy 'error' event now)
-        // We still need to decrement connection count here if the global handler didn't catch it
-        // or if we want redundancy.
-        serverPool.decrementConnections(targetServer.id); // Ensure decrement happens on error
+    // 8. Pin the client to the backend (if needed)
+    setStickyPin(res, routing, targetServer);
+
+    // 9. Release the connection slot exactly once, however the request ends.
+    // 'finish' fires once the response has been sent; 'close' also covers clients that
+    // disconnect early. Both can fire for the same request, hence the guard.
+    // A retry moves the slot to the new backend, so release whichever one is current.
+    const context = {
+        ...routing,
+        targetServer,
+        attempt: 1,
+        triedServerIds: new Set([targetServer.id]),
+        body,
+        bodyStream,
+        deadlineAt: Date.now() + config.retry.deadline,
+        outcomeRecorded: false,
+        timedOut: false,
+        connectTimedOut: false,
+        connected: false,
+        proxyReq: null,
+        rejected: false,
+        upstreamStart: null,
+        upstreamConnectMs: null,
+        responseStart: null,
+        bytesIn: 0,
+    };
+    requestContexts.set(req, context);
+    let connectionReleased = false;
+    const releaseConnection = () => {
+        if (connectionReleased) return;
+        connectionReleased = true;
+        // A client that left before the backend answered says nothing about the backend
+        recordOutcome(req, 'cancelled');
+        pool.decrementConnections(context.targetServer.id);
+    };
+    res.on('finish', releaseConnection);
+    res.on('close', releaseConnection);
+
+    // 10. Proxy the Request
+    proxyAttempt(req, res, context);
+}
+
+// --- WebSocket / Upgrade Proxying ---
+// Tunnels stay open long after the handshake, so they are counted in activeSockets rather than
+// activeConnections (which would skew least-connections towards backends without sockets).
+// tunnel: { req, clientSocket, proxySocket, pool, targetServer, outcomeRecorded, closing }
+const webSocketTunnels = new Set();
+const upgradeTunnels = new WeakMap(); // req -> tunnel, for the proxy event handlers
+
+const CLOSE_GOING_AWAY = 1001;
+
+// Builds a WebSocket close frame. Frames sent to the backend act as a client and must be masked.
+function webSocketCloseFrame(code, reason, masked) {
+    const payload = Buffer.concat([Buffer.from([code >> 8, code & 0xff]), Buffer.from(reason).subarray(0, 123)]);
+    if (!masked) return Buffer.concat([Buffer.from([0x88, payload.length]), payload]);
+    const mask = crypto.randomBytes(4);
+    const maskedPayload = payload.map((byte, i) => byte ^ mask[i % 4]);
+    return Buffer.concat([Buffer.from([0x88, 0x80 | payload.length]), mask, maskedPayload]);
+}
+
+// Ends a tunnel from the proxy's side (idle timeout, shutdown) with a close frame in each direction.
+// Close frames sent by the client or the backend themselves are piped through untouched.
+// Both pipes are stopped first so our frame isn't interleaved with forwarded data.
+function closeTunnel(tunnel, code, reason) {
+    if (tunnel.closing) return;
+    tunnel.closing = true;
+    const { clientSocket, proxySocket } = tunnel;
+    if (proxySocket) {
+        proxySocket.unpipe(clientSocket);
+        clientSocket.unpipe(proxySocket);
+        if (proxySocket.writable) proxySocket.end(webSocketCloseFrame(code, reason, true));
+    }
+    if (clientSocket.writable) clientSocket.end(webSocketCloseFrame(code, reason, false));
+    // Give both peers a moment to answer the close frame, then drop whatever is left
+    setTimeout(() => {
+        clientSocket.destroy();
+        if (proxySocket) proxySocket.destroy();
+    }, 1000).unref();
+}
+
+function recordTunnelOutcome(tunnel, outcome, reason) {
+    if (tunnel.outcomeRecorded) return;
+    tunnel.outcomeRecorded = true;
+    tunnel.pool.recordOutcome(tunnel.targetServer.id, outcome, reason);
+}
+
+// Raw HTTP response on a socket that hasn't been upgraded
+function rejectUpgrade(socket, statusCode, message, headers = {}) {
+    if (socket.writable) {
+        const extraHeaders = Object.entries(headers).map(([name, value]) => `${name}: ${value}\r\n`).join('');
+        socket.end(`HTTP/1.1 ${statusCode} ${http.STATUS_CODES[statusCode]}\r\n${extraHeaders}Content-Type: text/plain\r\nContent-Length: ${Buffer.byteLength(message)}\r\nConnection: close\r\n\r\n${message}`);
+    }
+    socket.destroy();
+}
+
+// The handshake is what tells us something about the backend; the socket's later life doesn't
+proxy.on('proxyReqWs', (proxyReq, req) => {
+    const tunnel = upgradeTunnels.get(req);
+    if (!tunnel) return;
+    proxyReq.on('upgrade', (proxyRes, proxySocket) => {
+        tunnel.proxySocket = proxySocket;
+        recordTunnelOutcome(tunnel, 'success', 'Status: 101');
+        // http-proxy clears socket timeouts while setting up, so the idle timer starts here
+        if (config.webSocket.idleTimeout > 0) {
+            tunnel.clientSocket.setTimeout(config.webSocket.idleTimeout);
+        }
     });
+    // The backend refused to upgrade; http-proxy relays its response to the client
+    proxyReq.on('response', (proxyRes) => {
+        recordTunnelOutcome(tunnel, proxyRes.statusCode >= 500 ? 'failure' : 'success', `Status: ${proxyRes.statusCode}`);
+    });
+});
+
+function handleUpgrade(req, socket, head) {
+    if ((req.headers.upgrade || '').toLowerCase() !== 'websocket') {
+        // http-proxy only tunnels WebSocket; other protocols (h2c, ...) are refused explicitly
+        rejectUpgrade(socket, 501, `Upgrade to "${req.headers.upgrade}" is not supported.`);
+        return;
+    }
+
+    assignRequestId(req, null);
+    clientAddresses.set(req, forwardedHeaders.apply(req));
+    if (config.tls.clientAuth !== 'off') setClientCertHeaders(req);
+    const routing = resolveRouting(req);
+    if (!routing) {
+        clientLimitsTotal.inc({ reason: 'bad_path' });
+        rejectUpgrade(socket, 400, 'Bad Request: The request path is malformed or ambiguous.');
+        return;
+    }
+    limitUpgrade(req, socket, routing, () => authorizeUpgrade(req, socket, head, routing));
+}
+
+function authorizeUpgrade(req, socket, head, routing) {
+    if (!routing.route?.access) {
+        proxyUpgrade(req, socket, head, routing);
+        return;
+    }
+    checkAccess(req, routing).then((refusal) => {
+        if (socket.destroyed) return;
+        if (refusal) rejectUpgrade(socket, refusal.status, refusal.message, refusal.headers);
+        else proxyUpgrade(req, socket, head, routing);
+    }).catch(err => failUpgrade(req, socket, err));
+}
 
+function failUpgrade(req, socket, err) {
+    console.error(`[${process.pid}] Error handling upgrade of ${req.url}:`, err);
+    socket.destroy();
+}
+
+function proxyUpgrade(req, socket, head, routing) {
+    const { poolName, pool, stickySessionId, hashKey } = routing;
+    if (stickyFailoverRefused(routing)) {
+        rejectUpgrade(socket, 503, 'Service Unavailable: The backend of this session is unavailable.');
+        return;
+    }
+    const targetServer = pool.selectServer(stickySessionId, hashKey);
+
+    if (!targetServer) {
+        console.warn(`[${process.pid}] No healthy backend servers in pool '${poolName}' for WebSocket upgrade!`);
+        rejectUpgrade(socket, 503, 'Service Unavailable: No backend servers are healthy.');
+        return;
+    }
+
+    const targetUrl = `${targetServer.protocol === 'https' ? 'wss' : 'ws'}://${targetServer.host}:${targetServer.port}`;
+    const tunnel = { req, clientSocket: socket, proxySocket: null, pool, targetServer, outcomeRecorded: false, closing: false };
+    webSocketTunnels.add(tunnel);
+    upgradeTunnels.set(req, tunnel);
+    pool.incrementSockets(targetServer.id);
+
+    // The client socket closes last whichever side ends the tunnel
+    socket.once('close', () => {
+        webSocketTunnels.delete(tunnel);
+        recordTunnelOutcome(tunnel, 'cancelled');
+        pool.decrementSockets(targetServer.id);
+        if (tunnel.proxySocket) tunnel.proxySocket.destroy();
+    });
+    socket.on('timeout', () => {
+        console.log(`[${process.pid}] Closing idle WebSocket to ${targetServer.id}`);
+        closeTunnel(tunnel, CLOSE_GOING_AWAY, 'Idle timeout');
+    });
+    socket.on('error', (err) => {
+        console.error(`[${process.pid}] WebSocket client error (${targetServer.id}):`, err.code || err.message);
+    });
 
-    // 5. Decrement connection count when client finishes
-    // 'finish' event is reliable for indicating response has been sent.
-    res.on('finish', () => {
-        serverPool.decrementConnections(targetServer.id);
-        // console.log(`[${process.pid}] Request finished for ${targetServer.id} (Conn: ${targetServer.activeConnections})`);
+    // The per-call callback keeps these errors away from the HTTP 'error' handler, which expects a response
+    // Upgraded sockets leave the agent's pool, so sharing the backend's agent is fine
+    const options = { target: targetUrl, agent: upstreamAgents.agentFor(targetServer), headers: rewriteRequestHeaders(req, routing, targetServer, {}) };
+    proxy.ws(req, socket, head, options, (err) => {
+        console.error(`[${process.pid}] WebSocket proxy error for ${targetUrl}:`, err.code || err.message);
+        proxyErrorsTotal.inc({ backend: targetServer.id, code: err.code || 'UNKNOWN' });
+        if (tunnel.proxySocket) {
+            socket.destroy();
+        } else {
+            recordTunnelOutcome(tunnel, 'failure', `Proxy Error: ${err.code || 'Unknown'}`);
+            rejectUpgrade(socket, 502, 'Proxy Error: Bad Gateway');
+        }
     });
+}
 
-    // Handle client abruptly closing connection before response finishes
-    req.on('close', () => {
-         if (!res.writableEnded) { // If response hasn't finished sending
-             serverPool.decrementConnections(targetServer.id);
-             // console.log(`[${process.pid}] Client closed connection prematurely for ${targetServer.id} (Conn: ${targetServer.activeConnections})`);
-         }
-     });
-};
+function setupWebSocketProxy(server) {
+    if (config.webSocket.enabled) server.on('upgrade', handleUpgrade);
+}
+
+// WebSocket clients on a redirecting HTTP listener get the same 301
+function redirectUpgrade(req, socket) {
+    const location = httpsLocation(req);
+    if (location) rejectUpgrade(socket, 301, `Moved Permanently: ${location}`, { Location: location });
+    else rejectUpgrade(socket, 400, 'Bad Request: missing or invalid Host header.');
+}
 
 // --- Create Servers ---
 let httpServer, httpsServer;
 
 if (config.port) {
-    httpServer = http.createServer(requestHandler);
+    httpServer = http.createServer(config.httpsRedirect ? redirectHandler : requestHandler);
     httpServer.on('error', (err) => console.error(`[${process.pid}] HTTP Server Error:`, err));
+    setupClientLimits(httpServer, config.httpsRedirect ? redirectHandler : requestHandler);
+    if (config.httpsRedirect) httpServer.on('upgrade', redirectUpgrade);
+    else setupWebSocketProxy(httpServer);
 }
 
+// Default certificate plus the SNI ones; reloaded in place when the master sees them change
+let certificateStore = null;
+
 if (config.enableHttps && config.httpsPort) {
     try {
-        const options = {
-            key: fs.readFileSync(config.sslPaths.key),
-            cert: fs.readFileSync(config.sslPaths.cert)
-        };
-        httpsServer = https.createServer(options, requestHandler);
+        certificateStore = new CertificateStore(config.tls, config.sslPaths);
+        if (config.http2.enabled) {
+            // ALPN picks h2 or http/1.1; HTTP/1.1 clients (and WebSocket upgrades) are served as before
+            httpsServer = http2.createSecureServer({
+                ...certificateStore.serverOptions(),
+                allowHTTP1: true,
+                // The header limit is checked per request (431), the protocol's own only caps what is beyond it
+                settings: { maxConcurrentStreams: config.http2.maxConcurrentStreams, maxHeaderListSize: Math.max(config.clientLimits.maxHeaderSize, 65535) },
+            }, requestHandler);
+            httpsServer.on('session', trackHttp2Session);
+            // Broken sessions (bad frames, flow control violations); their streams are closed with them
+            httpsServer.on('sessionError', (err) => console.error(`[${process.pid}] HTTP/2 session error:`, err.code || err.message));
+        } else {
+            httpsServer = https.createServer(certificateStore.serverOptions(), requestHandler);
+        }
         httpsServer.on('error', (err) => console.error(`[${process.pid}] HTTPS Server Error:`, err));
+        setupClientLimits(httpsServer, requestHandler);
+        setupWebSocketProxy(httpsServer);
     } catch (err) {
         console.error(`[${process.pid}] Failed to create HTTPS server: ${err.message}. Check SSL certificate paths.`);
         // Decide if this is fatal. For simplicity, we'll let the worker continue if HTTP is enabled.
@@ -136,132 +1461,233 @@ if (config.enableHttps && config.httpsPort) {
     }
 }
 
-// --- Metrics Server (Optional, runs only in one worker or master) ---
-// Note: For accurate aggregate metrics, the master should collect from workers,
-// or use an external system. This basic version shows per-worker metrics.
-let metricsServer;
-function startMetricsServer() {
-    if (config.metrics.enabled) {
-        metricsServer = http.createServer((req, res) => {
-            if (req.url === config.metrics.endpoint && req.method === 'GET') {
-                const metrics = {
-                    workerPid: process.pid,
-                    requestsHandled: requestCounter,
-                    serverPool: serverPool.getMetrics(),
-                    uptimeSeconds: process.uptime(),
-                    memoryUsage: process.memoryUsage(),
-                };
-                res.writeHead(200, { 'Content-Type': 'application/json' });
-                res.end(JSON.stringify(metrics, null, 2));
-            } else {
-                res.writeHead(404);
-                res.end('Not Found');
-            }
-        });
-        metricsServer.listen(config.metrics.port, () => {
-            console.log(`[${process.pid}] Metrics server listening on port ${config.metrics.port}`);
-        });
-        metricsServer.on('error', (err) => console.error(`[${process.pid}] Metrics Server Error:`, err));
+// Raw TCP listeners, one per TCP_LISTENERS port; connect errors and retries count like HTTP ones
+const tcpListeners = config.tcpListeners.map(({ port, pool }) => new TcpListener({
+    port,
+    poolName: pool,
+    pools,
+    retry: config.retry,
+    counters: {
+        connectionsTotal: tcpConnectionsTotal,
+        rejectedTotal: tcpRejectedTotal,
+        bytesTotal: tcpBytesTotal,
+        errorsTotal: proxyErrorsTotal,
+        retriesTotal,
+    },
+}));
+
+// New connections get the new certificates; established ones keep theirs. A failed reload
+// (say a key written before its certificate) keeps the current set.
+function reloadCertificates() {
+    if (!certificateStore || !httpsServer) return;
+    try {
+        const { hostNames } = certificateStore.load();
+        httpsServer.setSecureContext(certificateStore.serverOptions());
+        console.log(`[${process.pid}] Reloaded TLS certificates (${hostNames} SNI host name(s))`);
+    } catch (err) {
+        console.error(`[${process.pid}] TLS certificate reload failed, keeping the current certificates: ${err.message}`);
     }
 }
 
+// --- Stats Reporting ---
+// Counters this worker reports to the master for the cluster-wide metrics endpoint
+function getWorkerStats() {
+    const stats = {
+        pid: process.pid,
+        workerId: process.env.WORKER_ID,
+        requestsHandled: requestCounter,
+        uptimeSeconds: process.uptime(),
+        memoryUsage: process.memoryUsage(),
+        servers: [],
+        upstreamAgents: upstreamAgents.stats(),
+        cache: responseCache ? { ...responseCache.stats(), statuses: cacheStatuses } : null,
+        tcpListeners: tcpListeners.map(listener => listener.stats()),
+        http2Sessions: http2Sessions.size,
+        metrics: metrics.snapshot(),
+    };
+    pools.forEach((pool, poolName) => pool.getMetrics().servers.forEach(({ id, activeConnections, activeSockets, outlier }) => {
+        stats.servers.push({ pool: poolName, id, activeConnections, activeSockets, outlier });
+    }));
+    return stats;
+}
 
 // --- Start Listening ---
+// The master is told once every listener is up (a rolling restart waits for it)
 function startListening() {
+    const listening = [];
     if (httpServer) {
-        httpServer.listen(config.port, () => {
+        listening.push(new Promise(resolve => httpServer.listen(config.port, () => {
             console.log(`[${process.pid}] Worker listening on HTTP port ${config.port}`);
-        });
+            resolve();
+        })));
     }
     if (httpsServer) {
-        httpsServer.listen(config.httpsPort, () => {
+        listening.push(new Promise(resolve => httpsServer.listen(config.httpsPort, () => {
             console.log(`[${process.pid}] Worker listening on HTTPS port ${config.httpsPort}`);
-        });
+            resolve();
+        })));
     }
+    tcpListeners.forEach((listener) => {
+        listening.push(new Promise(resolve => listener.listen(() => {
+            console.log(`[${process.pid}] Worker listening on TCP port ${listener.port} (pool '${listener.poolName}')`);
+            resolve();
+        })));
+    });
+    Promise.all(listening).then(() => {
+        if (process.send && process.connected) process.send({ type: 'listening' });
+    });
 }
 
 // --- Graceful Shutdown ---
+// Stops accepting connections, closes the idle keep-alive ones and lets requests in flight
+// finish, answering them with `Connection: close` so their connections end too (HTTP/2
+// sessions get GOAWAY). Whatever is still open after workerLifecycle.drainTimeout is cut off.
 function gracefulShutdown() {
-    console.log(`[${process.pid}] Worker shutting down...`);
-    serverPool.stopHealthChecks();
+    if (shuttingDown) return;
+    shuttingDown = true;
+    console.log(`[${process.pid}] Worker shutting down, draining ${activeResponses.size} request(s) in flight...`);
+    pools.stopHealthChecks();
 
-    const closePromises = [];
+    const servers = [httpServer, httpsServer].filter(server => server && server.listening);
+    // TCP connections can't be told to finish, so they get the drain timeout to end on their own
+    const closePromises = [
+        ...servers.map(server => new Promise(resolve => server.close(resolve))),
+        ...tcpListeners.map(listener => new Promise(resolve => listener.close(resolve))),
+    ];
+    const closeIdleConnections = () => servers.forEach(server => server.closeIdleConnections());
+    closeIdleConnections();
+    // GOAWAY: streams in flight finish, the client opens new ones elsewhere
+    http2Sessions.forEach(session => session.close());
+    activeResponses.forEach((res) => {
+        if (isHttp2(res.req)) return;
+        if (!res.headersSent) res.setHeader('Connection', 'close');
+        // A response that had already started keeps its connection alive; close it once idle
+        else res.once('finish', () => setImmediate(closeIdleConnections));
+    });
 
-    if (httpServer && httpServer.listening) {
-        closePromises.push(new Promise(resolve => httpServer.close(resolve)));
-    }
-    if (httpsServer && httpsServer.listening) {
-        closePromises.push(new Promise(resolve => httpsServer.close(resolve)));
-    }
-    if (metricsServer && metricsServer.listening) {
-        closePromises.push(new Promise(resolve => metricsServer.close(resolve)));
-    }
+    // No proxy.close(): the proxy has no server of its own, so it would never call back.
+    // Backend connections belong to the upstream agents, destroyed below.
 
-    // Close proxy server (important to release backend connections)
-    closePromises.push(new Promise(resolve => proxy.close(resolve)));
+    // Open tunnels keep server.close() waiting. 'drain' lets them finish on their own until
+    // the force timeout below; 'close' ends them right away with 1001 (Going Away).
+    if (webSocketTunnels.size > 0) {
+        console.log(`[${process.pid}] ${webSocketTunnels.size} WebSocket(s) open, shutdown mode '${config.webSocket.shutdownMode}'`);
+        if (config.webSocket.shutdownMode === 'close') {
+            webSocketTunnels.forEach(tunnel => closeTunnel(tunnel, CLOSE_GOING_AWAY, 'Server shutting down'));
+        }
+    }
 
+    const tcpConnections = tcpListeners.reduce((sum, listener) => sum + listener.connections.size, 0);
+    if (tcpConnections > 0) console.log(`[${process.pid}] ${tcpConnections} TCP connection(s) open, waiting for them to close`);
 
+    // Cutting connections off at the drain timeout lets the servers close too; that isn't a clean exit
+    let forced = false;
     Promise.all(closePromises).then(() => {
         console.log(`[${process.pid}] Worker closed all servers.`);
-        process.exit(0); // Exit gracefully
+        upstreamAgents.destroy(); // Idle keep-alive sockets
+        const exitCode = forced ? 1 : 0;
+        // Hand the last access log lines to the master before going
+        if (accessLogger) accessLogger.flush(() => process.exit(exitCode));
+        else process.exit(exitCode);
     }).catch(err => {
         console.error(`[${process.pid}] Error during worker shutdown:`, err);
         process.exit(1); // Exit with error
     });
 
-    // Force exit after timeout
+    // Force exit after the drain timeout
     setTimeout(() => {
-        console.error(`[${process.pid}] Worker could not close connections in time, forcing exit.`);
-        process.exit(1);
-    }, 10000); // 10 seconds
+        forced = true;
+        if (activeResponses.size > 0) {
+            console.error(`[${process.pid}] Worker could not drain ${activeResponses.size} request(s) within ${config.workerLifecycle.drainTimeout}ms, forcing exit.`);
+        }
+        // Still-draining WebSockets get a proper close frame before the process goes away
+        webSocketTunnels.forEach(tunnel => closeTunnel(tunnel, CLOSE_GOING_AWAY, 'Server shutting down'));
+        servers.forEach(server => server.closeAllConnections?.()); // Not on the HTTP/2 server
+        http2Sessions.forEach(session => session.destroy());
+        tcpListeners.forEach(listener => listener.destroyConnections());
+        if (accessLogger) accessLogger.flush();
+        setTimeout(() => process.exit(1), webSocketTunnels.size > 0 ? 500 : 0);
+    }, config.workerLifecycle.drainTimeout).unref();
+}
+
+// --- Live Config ---
+// Pools keep the state of unchanged servers; the routing rules are simply recompiled.
+function applyLiveConfig(liveConfig) {
+    Object.assign(config, liveConfig);
+    pools.reconfigure(liveConfig);
+    router = new Router(liveConfig.routes, liveConfig.defaultPool);
+    globalHeaderRules = compileHeaderRules(liveConfig.headers);
+    const serverIds = [];
+    pools.forEach(pool => pool.servers.forEach(server => serverIds.push(server.id)));
+    upstreamAgents.retain(serverIds);
 }
 
 // --- IPC (Inter-Process Communication) ---
+// Once the master is gone the channel is closed, and process.send() then emits an 'error' on
+// the process (fatal without a listener) rather than throwing. Returns whether it was sent.
+function sendToMaster(msg, callback) {
+    if (!process.connected) {
+        if (callback) callback();
+        return false;
+    }
+    process.send(msg, callback);
+    return true;
+}
+
 process.on('message', (msg) => {
     if (msg === 'shutdown') {
         gracefulShutdown();
     }
-    // Handle dynamic config updates (basic example)
+    // Health state decided by the master's active checks
+    else if (msg.type === 'healthUpdate' && Array.isArray(msg.servers)) {
+        const pool = pools.get(msg.pool);
+        if (pool) msg.servers.forEach(({ id, healthy }) => pool.setServerHealth(id, healthy));
+    }
+    // Certificate files changed (or SIGHUP)
+    else if (msg.type === 'reloadCertificates') {
+        reloadCertificates();
+    }
+    // SIGHUP: the files of access policies may have changed
+    else if (msg.type === 'reloadAccessFiles') {
+        reloadAccessFiles();
+    }
+    // Verdict on a rate limit check (see limitRequest)
+    else if (msg.type === 'limitResult') {
+        rateLimitClient.onResult(msg);
+    }
+    // Worker count changed: new share of each backend's maxConnections
+    else if (msg.type === 'workerSlot') {
+        pools.setConnectionShare(msg.index, msg.count);
+    }
+    else if (msg.type === 'collectStats') {
+        sendToMaster({ type: 'workerStats', requestId: msg.requestId, stats: getWorkerStats() });
+    }
+    // Live config (initial sync or reload), already validated by the master
     else if (msg.type === 'updateConfig' && msg.config) {
-        // NOTE: A full config update is complex. This example focuses on updating servers.
-        // A more robust solution might involve restarting workers or carefully merging configs.
-        if (msg.config.servers) {
-            serverPool.updateServers(msg.config.servers);
-        } else {
-             console.log(`[${process.pid}] Received config update message without server data.`);
-        }
+        applyLiveConfig(msg.config);
     }
 });
 
+// The master coordinates shutdowns through 'shutdown' messages. Ctrl+C signals every process
+// in the foreground group, so SIGINT is left to the master; a SIGTERM sent to this worker
+// alone drains it like a message would, and so does losing the master. Cluster's own
+// 'disconnect' handler exits at once unless the disconnect was expected, so this one runs
+// first and says it was.
+if (process.send) {
+    process.on('SIGINT', () => {});
+    process.prependListener('disconnect', () => {
+        if (cluster.worker) cluster.worker.exitedAfterDisconnect = true;
+        console.warn(`[${process.pid}] Lost the master process, draining.`);
+        gracefulShutdown();
+    });
+}
+process.on('SIGTERM', gracefulShutdown);
+
 
 // --- Exports (for master process) ---
 module.exports = {
     startListening,
-    startMetricsServer // Export function to control which worker starts it
-};
-
-// --- WebSocket Handling (Optional, add if needed) ---
-/*
-const setupWebSocketProxy = (server) => {
-    server.on('upgrade', (req, socket, head) => {
-        // Implement sticky session logic for WebSockets too if needed
-        const targetServer = serverPool.getNextServer(); // Add stickySessionId if applicable
-        if (targetServer) {
-            const targetUrl = `ws://${targetServer.host}:${targetServer.port}`;
-            console.log(`[${process.pid}] Routing WebSocket upgrade to -> ${targetUrl}`);
-            proxy.ws(req, socket, head, { target: targetUrl }, (err) => {
-                console.error(`[${process.pid}] WebSocket proxy error for ${targetUrl}:`, err.code || err.message);
-                socket.destroy();
-                // Decrement connection count? WS connections are long-lived, different tracking might be needed.
-            });
-             // Increment connection count? WS connection tracking needs care.
-        } else {
-            console.warn(`[${process.pid}] No healthy backend servers for WebSocket upgrade!`);
-            socket.destroy();
-        }
-    });
 };
 
-if (httpServer) setupWebSocketProxy(httpServer);
-if (httpsServer) setupWebSocketProxy(httpsServer);
-*/
\ No newline at end of file
+// Ask the master for the current config and the health of every backend
+if (process.send) sendToMaster({ type: 'ready' });